@@ -4,13 +4,43 @@
  * This class visualizes Software Bill of Materials (SBOM) data and their dependencies.
  * 
  * Features:
- * - Loads and displays SBOM data from JSON files
- * - Visualizes dependencies between components in a graph
+ * - Loads and displays SBOM data from CycloneDX (JSON and XML), SPDX 2.3 and SPDX 3.0 files
+ * - Visualizes dependencies between components in an SVG graph with directed edges and viewport culling
+ * - Keeps the full component model (version, type, supplier, licenses, hashes, ...) of every uploaded SBOM
+ * - Parses purls so versions of the same package are grouped and upgrades/downgrades are shown in the graph
  * - Supports step-by-step uploading of SBOMs to show the evolution of the dependency graph
+ * - Reads demo scenarios (stages, Force Mode flags, available SBOMs) from examples/manifest.json
  * - Supports "Custom Upload" with a popup interface for selecting from available SBOMs or uploading your own
  * - Implements validation to prevent modifying existing dependencies without Force Mode
+ * - Reports every conflicting node of a non-force upload and merges it with per-node decisions (accept/merge/reject)
+ * - Validates CycloneDX JSON uploads offline against the bundled 1.4-1.6 schemas, with a lenient mode that keeps what it can
+ * - Checks references in the preview and after every merge: dangling refs, orphan components and bom-ref/purl mismatches
  * - Supports "Force Mode" for intelligent merging of SBOM data
  * - Supports "History Navigation" to view the dependency graph at different points in time
+ * - Removes or reorders uploaded SBOMs by replaying the remaining uploads, with a preview before applying
+ * - Records which upload added each node and edge and which upload removed an edge, with a per-upload edge filter
+ * - Supports pan (drag), zoom (mouse wheel / pinch), fit to view and a minimap of the whole graph; pan and zoom
+ *   only move the drawn graph, which is culled again once the view leaves the area drawn around it
+ * - Searches nodes by name, purl and attributes (substring or regex), with saved filters that also restrict exports
+ * - Shows the impact of a clicked node: its transitive dependencies or reverse dependents and the products they reach
+ * - Finds every (or the k shortest) dependency path between two nodes, with the upload that added each hop
+ * - Lays the graph out in levels (Sugiyama-style) with few edge crossings and a stable node order
+ * - Offers force-directed and radial layouts as alternatives, with an animated switch between layouts
+ * - Collapses and expands subtrees (with a count of hidden nodes) and groups nodes into boxes per source SBOM
+ * - Overlays vulnerabilities from local OSV / CycloneDX VEX files by severity, with exposure of every dependent
+ * - Detects dependency cycles, draws them in a distinct style and lists them in a cycles panel
+ * - Compares any two history states in one graph, colouring added, removed and changed nodes and edges
+ * - Downloads the merged graph (current or historical state) as a CycloneDX 1.5 JSON SBOM; values the 1.5 schema
+ *   rejects (1.6-only types, unknown license ids, malformed list entries) are adjusted and reported
+ * - Exports the graph to Graphviz DOT, GraphML and Mermaid for other graph tools and documentation
+ * - Saves the whole rendered graph as an SVG or PNG image (chosen scale, optional legend), independent of pan and zoom
+ * - Saves the session in IndexedDB and restores it on load; sessions can be exported to and imported from a file
+ * 
+ * Scenarios:
+ * examples/manifest.json lists the scenarios. Each has an id, a title and description, the ordered stage files
+ * (each with its Force Mode flag) and the SBOMs offered in the Upload Custom popup (with a suggested Force Mode).
+ * The scenario picker switches between them (?id=<scenario id>); without an id the manifest's defaultScenario
+ * is shown. A missing manifest, unknown scenario or missing stage file is reported in the left panel.
  * 
  * Custom Upload:
  * The "Upload Custom" button opens a popup that allows users to:
@@ -20,9 +50,33 @@
  * 
  * Validation Logic:
  * When Force Mode is disabled, the system validates that the SBOM being uploaded doesn't modify existing dependencies:
- * - If the SBOM would modify existing dependencies, an error message is shown
+ * - If the SBOM would modify existing dependencies, every conflicting node is listed in a conflict report with its
+ *   existing and incoming dependencies and what would be added or removed
+ * - Each conflicting node can be accepted (replace its dependencies, as Force Mode would), merged (union of both
+ *   lists) or rejected (keep the existing dependencies); uploading again applies these decisions
+ * - The decisions are stored on the SBOM (mergeDecisions), so replays after removing or reordering uploads apply them too;
+ *   a decision only applies while its node exists with different dependencies, and applying a replay drops the others
  * - If the SBOM only adds new dependencies or nodes, it's allowed to proceed
  * 
+ * Schema Validation:
+ * CycloneDX 1.4, 1.5 and 1.6 JSON documents are checked against the official JSON schemas bundled in schemas/
+ * (no network access) before they are previewed or merged. Other formats and versions are only checked for the
+ * structure the graph needs: a main component, components with an identity and dependency entries with refs.
+ * Every problem is listed with its JSON path (e.g. $.components[3].type) in the popup. Uploads with problems are
+ * rejected unless "Lenient validation" is on; then unusable parts are skipped and the problems are kept as warnings
+ * on the SBOM. The stage files of a scenario are always validated strictly; the bundled examples pass the schemas.
+ * 
+ * Integrity Check:
+ * The popup preview lists, with JSON paths, the problems in the references of the selected SBOM:
+ * - Dangling: a dependency ref or dependsOn entry that no component (or the main component) declares
+ * - Orphan: a component that no dependency refers to (SBOMs without a dependencies section are not checked,
+ *   since all their components are linked to the main component)
+ * - Mismatch: a bom-ref used twice, a purl-style bom-ref that differs from the component's purl, or a ref that
+ *   uses a component's purl instead of its bom-ref
+ * After every merge (and for every history state shown) the graph is checked too: nodes that no uploaded SBOM
+ * declares, declared components that nothing depends on and the mismatches of the uploaded SBOMs. Affected nodes
+ * get a "!" badge and their problems in the tooltip; the integrity panel lists them and centers on a node when clicked.
+ * 
  * Force Mode:
  * When enabled, Force Mode intelligently merges and overwrites existing nodes in the dependency graph.
  * - For nodes explicitly mentioned in the force import file, their dependencies are replaced with the new ones
@@ -34,6 +88,123 @@
  * - Navigate backward and forward through the history of uploaded SBOMs
  * - View the dependency graph at different points in time
  * - See how the graph evolved as SBOMs were added
+ * - Upload from an earlier state: the later states and the uploads that produced them are dropped
+ * - Compare any two states: the union of both graphs is drawn with added (green), removed (red) and
+ *   changed (amber) nodes and edges, and a panel sums up the differences. Removed edges make it easy to
+ *   see what a Force Mode upload dropped.
+ * 
+ * Removing and Reordering Uploads:
+ * Each entry in the Uploaded SBOMs list can be removed (×) or dragged to another position. The graph and the
+ * history are then rebuilt by replaying the uploads in their new order, each with its own Force Mode flag.
+ * The result is shown as a diff against the current state (like compare mode), together with any upload that
+ * would no longer pass validation without Force Mode, and only replaces the current state on "Apply".
+ * Afterwards (and after an upload that branches from a historical state) "Next" continues the predefined sequence
+ * after the last of its stages still among the uploads.
+ * 
+ * Provenance:
+ * Every merge records the upload (stage index and main component) that added each new node and edge. When an
+ * upload drops an edge (a Force Mode upload replacing a dependency list), the edge keeps its record with the
+ * upload that removed it. The node tooltip shows where the node and each of its dependencies came from, and
+ * the dependencies that were removed. The provenance panel lists what each upload contributed; choosing an
+ * upload there only draws the edges it added. Provenance is saved with every history snapshot.
+ * 
+ * Search and Filters:
+ * The search box over the graph matches node identities and every attribute kept in the component registry,
+ * case-insensitively, as a substring or (with ".*") as a regular expression. Nodes that do not match are dimmed;
+ * Enter / Shift+Enter (or the arrow buttons) step through the matches and center the graph on each one.
+ * A search can be saved as a named filter. Two filters are built in: "Only pkg:npm" and "Only main components".
+ * The selected filter dims what it excludes in the graph and limits every export (merged SBOM, DOT, GraphML,
+ * Mermaid, SVG and PNG) to the nodes it keeps and the edges between them. Saved filters are part of the session.
+ * 
+ * Impact Analysis:
+ * Clicking a node (not dragging the graph from it) selects it; clicking it again clears the selection. The graph
+ * then highlights the nodes reachable from it, either its reverse dependents (everything that pulls it in, e.g.
+ * to see what a CVE in a library hits) or its dependencies, up to a chosen number of hops. The impact panel lists
+ * the products (main components of the uploaded SBOMs) within reach and how many hops away each one is.
+ * The selection is kept across history navigation.
+ * 
+ * Path Finder:
+ * The "Paths" button opens a panel to answer "why does this product ship that library?". After choosing a start
+ * and a target node, every simple dependency path between them (at most 200) or the k shortest paths are found,
+ * shortest first, highlighted in the graph and listed as chains. Each hop is labelled with the stage of the upload
+ * that added that edge (from the provenance records). Picking a chain in the list highlights only that path.
+ * 
+ * Collapsing and Grouping:
+ * Nodes with dependencies show a "−" toggle below them on hover. It collapses the node's subtree: nodes that can only
+ * be reached through collapsed nodes are hidden and the toggle turns into a "+N" badge with the number of hidden
+ * nodes; clicking it expands the subtree again ("Expand" in the graph controls expands everything). Nodes that are
+ * also reachable some other way stay visible, and so do the collapsed node's edges to them. A node whose dependencies
+ * would all stay visible is not collapsed. Collapsed nodes are kept across history navigation and in the session.
+ * The "Grouped by SBOM" layout draws one labelled box per uploaded SBOM around its main component and the
+ * components only it declares. The boxes are arranged on a ring; components declared by several SBOMs are placed
+ * inside the ring between the boxes of those SBOMs, and nodes no SBOM declares get a box of their own.
+ * 
+ * Vulnerability Overlay:
+ * The "Vulnerabilities" button opens a panel for loading vulnerability feeds from local files, without any network
+ * access: OSV JSON (single records, lists, {"vulns": [...]} or osv-scanner output) and CycloneDX VEX/BOM documents
+ * in JSON or XML. The vulnerabilities sections of the uploaded SBOMs are used too unless "From SBOMs" is unchecked.
+ * OSV findings match nodes by package (purl type, namespace and name; ecosystems are mapped to purl types) and
+ * version (exact versions or SEMVER/ECOSYSTEM ranges). CycloneDX findings match the components their affects refs
+ * point at (bom-ref or purl), with versions given as exact versions or vers: ranges. Affected nodes are filled in the
+ * colour of their most severe finding and every node depending on them, directly or transitively, is outlined in it.
+ * A VEX statement with analysis state not_affected or false_positive, or an affects version marked unaffected,
+ * suppresses the finding with the same id or alias on that node. Loaded feeds are part of the session.
+ * Debian, Ubuntu and Alpine records match purls with the distribution as namespace (pkg:deb/debian/openssl); a
+ * record for one release (Debian:12, Alpine:v3.18) only matches purls whose distro qualifier names that release
+ * (debian-12 or bookworm, alpine-3.18), or purls without one. Epochs ("1:2.0") are compared before the rest of the
+ * version. PyPI names match regardless of case and of "-", "_" or ".". Scenario 6 ships sample feeds in examples/6.
+ * 
+ * Component Registry:
+ * Every component of every uploaded SBOM is recorded in a registry keyed by its identity (purl, or bom-ref
+ * when no purl is given). Graph nodes use the same identity, so bom-refs from the dependencies section are
+ * translated per SBOM. Each registry entry keeps the merged attributes (later uploads win) as well as the
+ * original component from every SBOM it appeared in. The registry is saved with every history snapshot.
+ * 
+ * Version-aware Identity:
+ * Node identities that are purls are parsed into type/namespace/name/version/qualifiers. Nodes that share a
+ * package (same type, namespace and name) are placed next to each other. When an upload brings in another
+ * version of a package that is already in the graph, the change is recorded as an upgrade or downgrade and
+ * drawn as a version link between the two nodes instead of an unrelated node.
+ * 
+ * CycloneDX XML Support:
+ * CycloneDX 1.4-1.6 XML documents are parsed in the browser with DOMParser and converted into the
+ * same structure the JSON format produces, so they can be used anywhere a JSON SBOM can.
+ * 
+ * SPDX Support:
+ * SPDX documents are converted into the same internal (CycloneDX-like) form as soon as they are loaded:
+ * - SPDX 2.3 packages and SPDX 3.0 software_Package elements become components
+ * - The described package (documentDescribes / DESCRIBES / rootElement) becomes metadata.component
+ * - DEPENDS_ON / CONTAINS relationships (and their inverse forms) become dependencies
+ * - Packages are referenced by purl when they have one, otherwise by their SPDX identifier
+ * 
+ * Layouts:
+ * The layout selector next to the history navigation switches between three layouts:
+ * - Layered: dependencies flow top to bottom in levels (the default)
+ * - Force-directed: connected nodes attract and all nodes repel each other, starting from the current picture
+ * - Radial: rings of dependency depth around the main component of the focused (or latest) product SBOM
+ * Nodes glide from their old to their new positions when the layout is switched.
+ * 
+ * Dependency Cycles:
+ * Cycles are found as strongly connected components (Tarjan) every time the graph is drawn. Their nodes
+ * and edges are marked in the graph and listed in the cycles panel; clicking an entry centers the graph on it.
+ * In compare mode the cycles of both compared states are shown, not those of their union.
+ * Uploads without Force Mode that would create a new cycle show a warning first (can be turned off in the popup).
+ * 
+ * Merged SBOM Export:
+ * "Download merged SBOM" writes the graph being viewed as a CycloneDX 1.5 JSON document. Every node becomes a
+ * component (with the 1.5 fields of the attributes kept in the registry, and its identity as bom-ref), the
+ * dependencies section matches the graph, and metadata.properties lists the source SBOMs the state was built from.
+ * The metadata component stands for the merged graph and depends on its roots. Before the download, fields the
+ * bundled 1.5 schema still rejects are dropped, so the file passes strict validation when it is uploaded again.
+ * The DOT, GraphML and Mermaid exports contain the same graph, with each node's name, version and whether it
+ * is a main component (metadata.component of an uploaded SBOM) or another component.
+ * 
+ * Sessions:
+ * Every upload, history navigation and SBOM highlight schedules a save of the session to IndexedDB. A session holds
+ * the uploaded SBOM documents (with their Force Mode flags), all history snapshots, the history position, the
+ * highlighted SBOMs and the layout. It is restored when the page is loaded again; "New Session" discards it.
+ * Each scenario has its own saved session.
+ * "Export Session" writes the same data to a JSON file that "Import Session" loads on another machine.
  * 
  * Example:
  * If node "aaa" has dependencies ["bbb", "ccc", "ddd"] and a force import specifies "aaa" with dependencies ["bbb", "cccV2"],
@@ -45,74 +216,20 @@ class SBOMVisualizer {
         console.log('Current URL query:', query);
 
         const params = new URLSearchParams(query);
-        const pathId = params.get("id");  // e.g., "1" from ?id=1
-
-        switch (pathId) {
-            case "1":
-                this.sbomFileNames = [
-                    'examples/1/1.json',
-                    'examples/1/2.json',
-                ];
-
-                this.availableSbomFiles = [
-                    { name: '3.json', path: 'examples/1/3.json', forceMode: true },
-                ];
-                break;
-            case "2":
-                this.sbomFileNames = [
-                    'examples/2/1.json',
-                    'examples/2/2.json',
-                ];
-
-                this.availableSbomFiles = [
-                    { name: '3.json', path: 'examples/2/3.json', forceMode: true },
-                ];
-                break;
-            case "3":
-                this.sbomFileNames = [
-                    'examples/3/1.json',
-                ];
-
-                this.availableSbomFiles = [
-                    { name: '2.json', path: 'examples/3/2.json', forceMode: true },
-                ];
-                break;
-            case "4":
-                this.sbomFileNames = [
-                    'examples/4/1.json',
-                ];
-
-                this.availableSbomFiles = [
-                    { name: '2.json', path: 'examples/4/2.json', forceMode: true },
-                ];
-                break;
-            case "5":
-                this.sbomFileNames = [
-                    'examples/5/1.json',
-                    'examples/5/2.json',
-                ];
-
-                this.availableSbomFiles = [
-                    { name: '3.json', path: 'examples/5/3.json', forceMode: true },
-                ];
-                break;
-
-            default:
-                this.sbomFileNames = [
-                    'examples/Stage1.json',
-                    'examples/Stage1v2.json',
-                    'examples/Stage2.json',
-                    'examples/Stage2v2.json',
-                    'examples/Stage3.json',
-                ];
-
-                this.availableSbomFiles = [
-                    { name: 'ForceMini.json', path: 'examples/ForceMini.json', forceMode: true },
-                    { name: 'Force.json', path: 'examples/Force.json', forceMode: true },
-                    { name: 'Stage2NotAllowed.json', path: 'examples/Stage2NotAllowed.json', forceMode: true }
-                ];
-                break;
-        }
+        
+        // The scenario (stages and available SBOMs) comes from examples/manifest.json
+        this.manifestPath = 'examples/manifest.json';
+        this.scenarioId = params.get('id');  // e.g., "1" from ?id=1; the manifest's default when missing
+        this.scenarios = [];
+        this.scenario = null;
+        this.sbomFileNames = [];
+        this.availableSbomFiles = [];
+        
+        // Bundled CycloneDX JSON schemas, by spec version, used to validate uploads offline
+        this.schemaPath = 'schemas/';
+        this.schemaFiles = { '1.4': 'bom-1.4.schema.json', '1.5': 'bom-1.5.schema.json', '1.6': 'bom-1.6.schema.json' };
+        this.schemaDocuments = new Map();   // Schema file name -> Promise of the parsed schema
+        this.schemaPatterns = new Map();    // Compiled "pattern" regular expressions
         
         // Will be populated as files are loaded
         this.sbomData = [];
@@ -120,8 +237,67 @@ class SBOMVisualizer {
         this.currentStage = -1;
         this.uploadedSboms = [];
         this.dependencyGraph = new Map();
+        this.componentRegistry = new Map(); // Component identity -> { identity, attributes, sources }
+        this.versionChanges = new Map();    // New version identity -> { from, fromVersion, toVersion, direction, sbomIndex }
+        this.provenance = this.createEmptyProvenance(); // Which upload added each node and added/removed each edge
+        this.provenanceFilter = null;       // Only draw the edges added by this upload (index into uploadedSboms)
+        this.showProvenance = false;        // Provenance panel open
         this.nodePositions = new Map();
+        this.nodeSizes = new Map();
+        this.layoutMode = 'layered';        // 'layered' | 'force' | 'radial' | 'clustered'
+        this.clusterBoxes = [];             // Boxes of the source SBOMs in the clustered layout
+        this.collapsedNodes = new Set();    // Nodes whose subtrees are collapsed (kept across history navigation)
+        this.hiddenNodes = new Set();       // Nodes only reachable through collapsed nodes, for the graph on screen
+        this.collapsedCounts = new Map();   // Collapsed node -> number of nodes it hides
+        this.dependencyCycles = [];         // Strongly connected components of the graph (node lists)
+        this.cycleMembership = new Map();   // Node -> index into dependencyCycles
+        this.cycleGraphs = [];              // Graph each cycle was found in (one of the compared states in compare mode)
+        this.cycleEdges = new Set();        // Edge keys between members of the same cycle
+        this.focusedCycle = null;           // Cycle selected in the cycles panel
+        this.compareMode = false;           // Showing the difference between two history states
+        this.compareFrom = 0;               // History state indices being compared
+        this.compareTo = 0;
+        this.compareDiff = null;            // Node/edge statuses of the comparison being shown
+        this.cycleWarningSource = null;     // Upload whose cycle warning was already shown
+        this.conflictReportSource = null;   // Upload whose conflict report is shown in the popup
+        this.integrityIssues = new Map();   // Node -> integrity issues (dangling, orphan, mismatch) of the graph on screen
+        this.searchQuery = '';              // Text (or regular expression) typed into the graph search box
+        this.searchRegex = false;
+        this.searchMatches = [];            // Nodes matching the search and the active filter, in reading order
+        this.searchMatchSet = null;         // The same nodes as a set; null while neither a search nor a filter is active
+        this.searchIndex = -1;              // Match the view was last centered on
+        this.savedFilters = this.getDefaultFilters(); // Named searches; the active one also restricts exports
+        this.activeFilterName = '';
+        this.impactNode = null;             // Node whose impact (closure) is shown, selected by clicking it
+        this.impactDirection = 'dependents'; // 'dependents' (who pulls it in) | 'dependencies' (what it pulls in)
+        this.impactDepth = 0;               // Maximum number of hops; 0 means no limit
+        this.impactHops = null;             // Node -> hops from impactNode, for the graph on screen
+        this.graphDragDistance = 0;         // How far the pointer moved since it was pressed, to tell clicks from drags
+        this.showPathFinder = false;        // Path finder panel open
+        this.pathQuery = { from: '', to: '', limit: 'all' }; // Nodes to connect and how many paths to find ('all' or k)
+        this.pathResult = null;             // { paths, truncated } found for pathQuery in the graph on screen
+        this.focusedPath = null;            // Index of the path picked in the list; null highlights all of them
+        this.maxListedPaths = 200;          // "All paths" stops after this many
+        this.showVulnerabilities = false;   // Vulnerability overlay (and its panel) on
+        this.vulnerabilityFeeds = [];       // Loaded OSV / CycloneDX VEX files: { name, document, advisories, statements }
+        this.includeSbomVulnerabilities = true; // Also use the vulnerabilities sections of the uploaded SBOMs
+        this.vulnerabilityFindings = new Map(); // Node -> { findings, suppressed } for the graph on screen
+        this.vulnerabilityExposure = new Map(); // Node -> highest severity among the vulnerable nodes it depends on
+        this.sessionSaveTimer = null;       // Pending autosave of the session to IndexedDB
+        this.sessionDatabase = null;        // Promise of the IndexedDB connection shared by session loads and saves
+        this.replayPreview = null;          // Reordered/reduced uploads and their replayed history, awaiting Apply
+        this.layoutAnimation = null;
+        this.edgeRoutes = new Map();        // Edge key -> bend points of edges spanning several levels
+        this.previousLayoutX = new Map();   // Node -> x of the last layout, used to keep the node order stable
         this.graphElements = [];
+        this.drawnArea = null;              // Graph area drawn by the last render (null when nothing was culled)
+        this.cullTimer = null;              // Pending re-cull after the view left the drawn area
+        
+        // Pan and zoom of the graph view (kept across history navigation)
+        this.viewTransform = { x: 0, y: 0, scale: 1 };
+        this.userAdjustedView = false;
+        this.minZoom = 0.05;
+        this.maxZoom = 4;
         
         // Track selected SBOM in popup
         this.selectedSbomFile = null;
@@ -140,8 +316,16 @@ class SBOMVisualizer {
 
     init() {
         this.setupEventListeners();
-        this.loadSbomData()
-            .then(() => {
+        this.loadScenarioManifest()
+            .then(() => this.loadSbomData())
+            .then(() => this.loadSessionFromStorage())
+            .then(session => {
+                // Continue the session saved by the last visit, if there is one
+                if (session && this.applySession(session)) {
+                    this.showNotification('Session Restored', `Restored ${this.uploadedSboms.length} uploaded SBOMs from your last visit`);
+                    return;
+                }
+                
                 this.updateStageIndicator();
                 this.updateDisplay();
                 
@@ -152,26 +336,94 @@ class SBOMVisualizer {
             })
             .catch(error => {
                 console.error('Error loading SBOM data:', error);
+                this.showLoadError(error.message);
             });
     }
     
+    async loadScenarioManifest() {
+        let manifest;
+        try {
+            const response = await fetch(this.manifestPath);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            manifest = JSON.parse(await response.text());
+        } catch (error) {
+            throw new Error(`Could not load the scenario manifest ${this.manifestPath}: ${error.message}`);
+        }
+        
+        this.scenarios = Array.isArray(manifest.scenarios) ? manifest.scenarios : [];
+        const scenarioId = this.scenarioId || manifest.defaultScenario;
+        this.scenario = this.scenarios.find(scenario => scenario.id === scenarioId);
+        this.populateScenarioPicker();
+        if (!this.scenario) {
+            throw new Error(`Scenario "${scenarioId}" is not defined in ${this.manifestPath}`);
+        }
+        
+        this.scenarioId = this.scenario.id;
+        this.sbomFileNames = (this.scenario.stages || []).map(stage => stage.file);
+        this.availableSbomFiles = this.scenario.availableSboms || [];
+        this.populateAvailableSbomsList();
+        console.log(`Loaded scenario "${this.scenario.title}" with ${this.sbomFileNames.length} stages`);
+    }
+    
+    populateScenarioPicker() {
+        const scenarioSelect = document.getElementById('scenarioSelect');
+        if (scenarioSelect) {
+            scenarioSelect.innerHTML = this.scenarios.map(scenario => `
+                <option value="${this.escapeHtml(scenario.id)}">${this.escapeHtml(scenario.title || scenario.id)}</option>
+            `).join('');
+            if (this.scenario) {
+                scenarioSelect.value = this.scenario.id;
+            } else {
+                scenarioSelect.selectedIndex = -1;
+            }
+        }
+        
+        const scenarioDescription = document.getElementById('scenarioDescription');
+        if (scenarioDescription) {
+            scenarioDescription.textContent = this.scenario ? this.scenario.description || '' : '';
+        }
+    }
+    
+    showLoadError(message) {
+        const stageIndicator = document.getElementById('stageIndicator');
+        if (stageIndicator) {
+            stageIndicator.innerHTML = '';
+        }
+        
+        const currentSbom = document.getElementById('currentSbom');
+        if (currentSbom) {
+            currentSbom.innerHTML = `
+                <div class="sbom-title">Could not load scenario</div>
+                <div class="sbom-metadata load-error">${this.escapeHtml(message)}</div>
+                <div class="component-list"></div>
+            `;
+        }
+        
+        const nextButton = document.getElementById('nextButton');
+        if (nextButton) {
+            nextButton.disabled = true;
+        }
+    }
+    
     async loadSbomData() {
         try {
             // Clear existing data
             this.sbomData = [];
             
-            // Load all files from the consolidated list
-            for (const fileName of this.sbomFileNames) {
+            // Load the stages of the scenario in order
+            for (const stage of this.scenario.stages || []) {
+                const fileName = stage.file;
                 const response = await fetch(fileName);
                 if (!response.ok) {
-                    throw new Error(`Failed to load ${fileName}: ${response.statusText}`);
+                    throw new Error(`Failed to load ${fileName} (stage ${this.sbomData.length + 1} of scenario "${this.scenario.title}"): ${response.status} ${response.statusText}`);
                 }
-                const data = await response.json();
+                const data = await this.parseSbomText(await response.text(), fileName);
                 
-                // Determine if this is a force mode file based on the file path
-                // This preserves the original behavior where ForceMini.json was a force mode file
-                const isForceMode = fileName.includes('Force');
-                data.forceMode = isForceMode;
+                // Force mode is set per stage in the manifest; the file name identifies the stage among the uploads
+                data.forceMode = stage.forceMode === true;
+                data.stageFile = fileName;
                 
                 this.sbomData.push(data);
             }
@@ -191,6 +443,12 @@ class SBOMVisualizer {
 
         const uploadedList = document.getElementById('uploadedList');
         uploadedList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.remove-upload-button');
+            if (removeButton) {
+                this.removeUploadedSbom(parseInt(removeButton.dataset.removeIndex));
+                return;
+            }
+            
             const item = e.target.closest('.uploaded-item');
             if (item) {
                 const index = parseInt(item.dataset.index);
@@ -198,11 +456,250 @@ class SBOMVisualizer {
             }
         });
         
+        // Drag uploaded SBOMs to reorder them
+        this.setupUploadedListReordering(uploadedList);
+        
+        const applyReplayButton = document.getElementById('applyReplayButton');
+        if (applyReplayButton) {
+            applyReplayButton.addEventListener('click', () => this.applyReplay());
+        }
+        const cancelReplayButton = document.getElementById('cancelReplayButton');
+        if (cancelReplayButton) {
+            cancelReplayButton.addEventListener('click', () => this.cancelReplayPreview());
+        }
+        
         // Setup Upload Custom button and popup
         this.setupCustomUploadUI();
         
         // Setup history navigation buttons
         this.setupHistoryNavigation();
+        
+        // Setup pan, zoom and minimap for the graph
+        this.setupGraphNavigation();
+        this.setupGraphSearch();
+        
+        // Scenario picker: each scenario is its own page (and saved session)
+        const scenarioSelect = document.getElementById('scenarioSelect');
+        if (scenarioSelect) {
+            scenarioSelect.addEventListener('change', () => {
+                const params = new URLSearchParams(window.location.search);
+                params.set('id', scenarioSelect.value);
+                window.location.search = params.toString();
+            });
+        }
+        
+        // Session export, import and reset
+        const exportSessionButton = document.getElementById('exportSessionButton');
+        if (exportSessionButton) {
+            exportSessionButton.addEventListener('click', () => this.exportSession());
+        }
+        const importSessionInput = document.getElementById('importSessionInput');
+        const importSessionButton = document.getElementById('importSessionButton');
+        if (importSessionInput && importSessionButton) {
+            importSessionButton.addEventListener('click', () => importSessionInput.click());
+            importSessionInput.addEventListener('change', () => {
+                if (importSessionInput.files.length > 0) {
+                    this.importSession(importSessionInput.files[0]);
+                }
+                importSessionInput.value = '';
+            });
+        }
+        const newSessionButton = document.getElementById('newSessionButton');
+        if (newSessionButton) {
+            newSessionButton.addEventListener('click', () => this.startNewSession());
+        }
+        
+        // Export actions
+        const downloadSbomButton = document.getElementById('downloadSbomButton');
+        if (downloadSbomButton) {
+            downloadSbomButton.addEventListener('click', () => this.downloadMergedSbom());
+        }
+        const downloadSvgButton = document.getElementById('downloadSvgButton');
+        if (downloadSvgButton) {
+            downloadSvgButton.addEventListener('click', () => this.downloadGraphSvg());
+        }
+        const downloadPngButton = document.getElementById('downloadPngButton');
+        if (downloadPngButton) {
+            downloadPngButton.addEventListener('click', () => this.downloadGraphPng());
+        }
+        document.querySelectorAll('[data-graph-export]').forEach(button => {
+            button.addEventListener('click', () => this.downloadGraphExport(button.dataset.graphExport));
+        });
+        
+        // Layout switcher
+        const layoutModeSelect = document.getElementById('layoutModeSelect');
+        if (layoutModeSelect) {
+            layoutModeSelect.value = this.layoutMode;
+            layoutModeSelect.addEventListener('change', () => this.setLayoutMode(layoutModeSelect.value));
+        }
+        
+        // Provenance panel: what each upload contributed, and a filter for the edges of one upload
+        const provenanceButton = document.getElementById('provenanceButton');
+        if (provenanceButton) {
+            provenanceButton.addEventListener('click', () => this.toggleProvenancePanel());
+        }
+        const provenanceFilterSelect = document.getElementById('provenanceFilterSelect');
+        if (provenanceFilterSelect) {
+            provenanceFilterSelect.addEventListener('change', () => {
+                this.setProvenanceFilter(provenanceFilterSelect.value === '' ? null : Number(provenanceFilterSelect.value));
+            });
+        }
+        const provenanceList = document.getElementById('provenanceList');
+        if (provenanceList) {
+            provenanceList.addEventListener('click', (e) => {
+                const item = e.target.closest('.provenance-item');
+                if (!item) return;
+                const index = Number(item.dataset.sbomIndex);
+                this.setProvenanceFilter(this.provenanceFilter === index ? null : index);
+            });
+        }
+        
+        // Path finder panel: every (or the k shortest) dependency path between two nodes
+        const pathsButton = document.getElementById('pathsButton');
+        if (pathsButton) {
+            pathsButton.addEventListener('click', () => this.togglePathFinder());
+        }
+        const pathFromInput = document.getElementById('pathFromInput');
+        const pathToInput = document.getElementById('pathToInput');
+        const pathLimitSelect = document.getElementById('pathLimitSelect');
+        if (pathFromInput && pathToInput && pathLimitSelect) {
+            const updatePathQuery = () => this.setPathQuery({
+                from: pathFromInput.value.trim(),
+                to: pathToInput.value.trim(),
+                limit: pathLimitSelect.value === 'all' ? 'all' : Number(pathLimitSelect.value)
+            });
+            pathFromInput.addEventListener('change', updatePathQuery);
+            pathToInput.addEventListener('change', updatePathQuery);
+            pathLimitSelect.addEventListener('change', updatePathQuery);
+            document.getElementById('swapPathButton').addEventListener('click', () => {
+                [pathFromInput.value, pathToInput.value] = [pathToInput.value, pathFromInput.value];
+                updatePathQuery();
+            });
+        }
+        const pathList = document.getElementById('pathList');
+        if (pathList) {
+            pathList.addEventListener('click', (e) => {
+                const item = e.target.closest('.path-item');
+                if (!item) return;
+                const index = Number(item.dataset.path);
+                this.focusedPath = this.focusedPath === index ? null : index;
+                this.updatePathPanel();
+                this.drawGraph();
+            });
+        }
+        
+        // Vulnerability overlay: local OSV / CycloneDX VEX feeds matched against the graph
+        const vulnerabilitiesButton = document.getElementById('vulnerabilitiesButton');
+        if (vulnerabilitiesButton) {
+            vulnerabilitiesButton.addEventListener('click', () => this.toggleVulnerabilityOverlay());
+        }
+        const vulnerabilityFeedInput = document.getElementById('vulnerabilityFeedInput');
+        if (vulnerabilityFeedInput) {
+            document.getElementById('loadVulnerabilityFeedButton').addEventListener('click', () => vulnerabilityFeedInput.click());
+            vulnerabilityFeedInput.addEventListener('change', async (e) => {
+                await this.loadVulnerabilityFeeds(e.target.files);
+                vulnerabilityFeedInput.value = '';
+            });
+        }
+        const sbomVulnerabilitiesCheckbox = document.getElementById('sbomVulnerabilitiesCheckbox');
+        if (sbomVulnerabilitiesCheckbox) {
+            sbomVulnerabilitiesCheckbox.checked = this.includeSbomVulnerabilities;
+            sbomVulnerabilitiesCheckbox.addEventListener('change', () => {
+                this.includeSbomVulnerabilities = sbomVulnerabilitiesCheckbox.checked;
+                this.refreshVulnerabilities();
+                this.scheduleSessionSave();
+            });
+        }
+        const vulnerabilityFeeds = document.getElementById('vulnerabilityFeeds');
+        if (vulnerabilityFeeds) {
+            vulnerabilityFeeds.addEventListener('click', (e) => {
+                const button = e.target.closest('.vulnerability-feed-remove');
+                if (button) {
+                    this.removeVulnerabilityFeed(Number(button.dataset.feedIndex));
+                }
+            });
+        }
+        const vulnerabilityList = document.getElementById('vulnerabilityList');
+        if (vulnerabilityList) {
+            vulnerabilityList.addEventListener('click', (e) => {
+                const item = e.target.closest('.vulnerability-item');
+                const pos = item && this.nodePositions.get(item.dataset.node);
+                if (pos) {
+                    this.centerGraphOn(pos.x, pos.y);
+                }
+            });
+        }
+        
+        // Impact analysis panel: direction and depth of the closure around the clicked node
+        const impactDirectionSelect = document.getElementById('impactDirectionSelect');
+        if (impactDirectionSelect) {
+            impactDirectionSelect.value = this.impactDirection;
+            impactDirectionSelect.addEventListener('change', () => {
+                this.impactDirection = impactDirectionSelect.value;
+                this.refreshImpactAnalysis();
+            });
+        }
+        const impactDepthSelect = document.getElementById('impactDepthSelect');
+        if (impactDepthSelect) {
+            impactDepthSelect.value = String(this.impactDepth);
+            impactDepthSelect.addEventListener('change', () => {
+                this.impactDepth = Number(impactDepthSelect.value);
+                this.refreshImpactAnalysis();
+            });
+        }
+        const closeImpactButton = document.getElementById('closeImpactButton');
+        if (closeImpactButton) {
+            closeImpactButton.addEventListener('click', () => this.selectImpactNode(null));
+        }
+        const impactList = document.getElementById('impactList');
+        if (impactList) {
+            impactList.addEventListener('click', (e) => {
+                const item = e.target.closest('.impact-item');
+                const pos = item && this.nodePositions.get(item.dataset.node);
+                if (pos) {
+                    this.centerGraphOn(pos.x, pos.y);
+                }
+            });
+        }
+        
+        // Follow resizes; culling catches up once the visible area leaves the drawn area
+        window.addEventListener('resize', () => this.scheduleViewUpdate());
+    }
+    
+    setupUploadedListReordering(uploadedList) {
+        let dragIndex = null;
+        const clearDropTargets = () => uploadedList.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        
+        uploadedList.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.uploaded-item');
+            if (!item) return;
+            dragIndex = parseInt(item.dataset.index);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.index);
+        });
+        
+        uploadedList.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.uploaded-item');
+            if (!item || dragIndex === null) return;
+            e.preventDefault();
+            clearDropTargets();
+            item.classList.add('drag-over');
+        });
+        
+        uploadedList.addEventListener('drop', (e) => {
+            const item = e.target.closest('.uploaded-item');
+            if (!item || dragIndex === null) return;
+            e.preventDefault();
+            clearDropTargets();
+            this.moveUploadedSbom(dragIndex, parseInt(item.dataset.index));
+        });
+        
+        uploadedList.addEventListener('dragend', () => {
+            dragIndex = null;
+            clearDropTargets();
+            uploadedList.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        });
     }
     
     setupHistoryNavigation() {
@@ -220,12 +717,31 @@ class SBOMVisualizer {
             // Initially disabled until we have history and are viewing past state
             nextHistoryButton.disabled = true;
         }
+        
+        // Compare mode: pick two history states and show what changed between them
+        const compareButton = document.getElementById('compareButton');
+        if (compareButton) {
+            compareButton.addEventListener('click', () => this.toggleCompareMode());
+            compareButton.disabled = true;
+        }
+        
+        ['compareFromSelect', 'compareToSelect'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => {
+                    this.compareFrom = Number(document.getElementById('compareFromSelect').value);
+                    this.compareTo = Number(document.getElementById('compareToSelect').value);
+                    this.updateCompareView();
+                });
+            }
+        });
     }
     
     navigateHistoryBackward() {
         if (this.historyPosition <= 0) {
             return; // Can't go back further
         }
+        this.exitDiffViews();
         
         this.historyPosition--;
         this.viewingHistory = true;
@@ -236,6 +752,7 @@ class SBOMVisualizer {
         if (this.historyPosition >= this.historyStates.length - 1) {
             return; // Can't go forward further
         }
+        this.exitDiffViews();
         
         this.historyPosition++;
         
@@ -257,7 +774,13 @@ class SBOMVisualizer {
         
         // Temporarily replace the current dependency graph with the historical one
         const currentGraph = this.dependencyGraph;
+        const currentRegistry = this.componentRegistry;
+        const currentVersionChanges = this.versionChanges;
+        const currentProvenance = this.provenance;
         this.dependencyGraph = new Map(historicalState.dependencyGraph);
+        this.componentRegistry = this.cloneComponentRegistry(historicalState.componentRegistry);
+        this.versionChanges = new Map(historicalState.versionChanges);
+        this.provenance = this.cloneProvenance(historicalState.provenance);
         
         // BUGFIX: Clear the nodePositions map to ensure only nodes from the historical state are rendered
         // This fixes the issue where nodes from later SBOMs were still visible when navigating back in history
@@ -329,10 +852,18 @@ class SBOMVisualizer {
         if (this.viewingHistory) {
             // Keep the historical view for display, but store the current state
             this._currentGraph = currentGraph;
+            this._currentRegistry = currentRegistry;
+            this._currentVersionChanges = currentVersionChanges;
+            this._currentProvenance = currentProvenance;
         } else {
             // We're back to the current state, no need to store separately
             this._currentGraph = null;
+            this._currentRegistry = null;
+            this._currentVersionChanges = null;
+            this._currentProvenance = null;
         }
+        
+        this.scheduleSessionSave();
     }
     
     updateHistoryIndicator() {
@@ -347,6 +878,18 @@ class SBOMVisualizer {
         const state = this.historyStates[this.historyPosition];
         const totalStates = this.historyStates.length;
         
+        if (this.replayPreview) {
+            historyIndicator.textContent = 'Previewing Changes';
+            historyIndicator.classList.add('comparing');
+            return;
+        }
+        if (this.compareMode) {
+            historyIndicator.textContent = `Comparing ${this.compareFrom + 1} → ${this.compareTo + 1}`;
+            historyIndicator.classList.add('comparing');
+            return;
+        }
+        historyIndicator.classList.remove('comparing');
+        
         if (this.viewingHistory) {
             historyIndicator.textContent = `Historical View (${this.historyPosition + 1}/${totalStates})`;
             historyIndicator.classList.add('viewing-history');
@@ -367,81 +910,692 @@ class SBOMVisualizer {
         
         // Disable next button if we're at the current state or have no history
         nextButton.disabled = this.historyPosition >= this.historyStates.length - 1 || this.historyStates.length === 0;
+        
+        // Comparing needs at least two states
+        const compareButton = document.getElementById('compareButton');
+        if (compareButton) {
+            compareButton.disabled = this.historyStates.length < 2;
+        }
     }
     
-    saveHistoryState() {
-        // Create a deep copy of the current dependency graph
-        const graphCopy = new Map();
-        this.dependencyGraph.forEach((deps, node) => {
-            graphCopy.set(node, [...deps]); // Create a new array with the same values
-        });
+    toggleCompareMode() {
+        if (this.compareMode) {
+            this.exitCompareMode();
+        } else {
+            this.enterCompareMode();
+        }
+    }
+    
+    enterCompareMode() {
+        if (this.compareMode || this.historyStates.length < 2) return;
+        this.cancelReplayPreview();
+        this.compareMode = true;
         
-        // Create a state object with the current dependency graph and other relevant information
-        const state = {
-            dependencyGraph: graphCopy,
-            timestamp: new Date(),
-            sbomCount: this.uploadedSboms.length
+        // Start with the state on screen and the one before it
+        this.compareTo = Math.max(1, this.historyPosition);
+        this.compareFrom = this.compareTo - 1;
+        
+        const options = this.historyStates.map((state, index) => `
+            <option value="${index}">State ${index + 1} (${state.sbomCount} SBOM${state.sbomCount === 1 ? '' : 's'})</option>
+        `).join('');
+        const fromSelect = document.getElementById('compareFromSelect');
+        const toSelect = document.getElementById('compareToSelect');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+        fromSelect.value = this.compareFrom;
+        toSelect.value = this.compareTo;
+        
+        document.getElementById('compareControls').classList.add('active');
+        document.getElementById('compareButton').classList.add('active');
+        
+        this.updateCompareView();
+    }
+    
+    exitCompareMode() {
+        if (!this.compareMode) return;
+        
+        this.compareMode = false;
+        this.hideStateDiff();
+        
+        document.getElementById('compareControls').classList.remove('active');
+        document.getElementById('compareButton').classList.remove('active');
+        
+        this.renderGraph();
+        this.updateHistoryIndicator();
+    }
+    
+    exitDiffViews() {
+        // Leave compare mode and any pending replay preview before the real state changes
+        this.exitCompareMode();
+        this.cancelReplayPreview();
+    }
+    
+    updateCompareView() {
+        const fromState = this.historyStates[this.compareFrom];
+        const toState = this.historyStates[this.compareTo];
+        if (!fromState || !toState) return;
+        
+        this.showStateDiff(fromState, toState);
+    }
+    
+    showStateDiff(fromState, toState) {
+        // Keep whatever is on screen (current or historical) to restore when the diff is closed
+        if (!this._diffSavedState) {
+            this._diffSavedState = {
+                dependencyGraph: this.dependencyGraph,
+                componentRegistry: this.componentRegistry,
+                versionChanges: this.versionChanges,
+                provenance: this.provenance
+            };
+        }
+        
+        // Draw the union of both graphs, with the later state's components, version changes and provenance
+        this.compareDiff = this.diffHistoryStates(fromState, toState);
+        this.dependencyGraph = this.compareDiff.graph;
+        this.componentRegistry = new Map([...fromState.componentRegistry, ...toState.componentRegistry]);
+        this.versionChanges = new Map(toState.versionChanges);
+        const fromProvenance = this.cloneProvenance(fromState.provenance);
+        const toProvenance = this.cloneProvenance(toState.provenance);
+        this.provenance = {
+            nodes: new Map([...fromProvenance.nodes, ...toProvenance.nodes]),
+            edges: new Map([...fromProvenance.edges, ...toProvenance.edges])
         };
         
-        // If we're viewing history, we need to handle this specially
-        if (this.viewingHistory) {
-            // Restore the current graph before saving
-            if (this._currentGraph) {
-                this.dependencyGraph = this._currentGraph;
-                this._currentGraph = null;
-            }
+        this.renderGraph();
+        this.updateComparePanel();
+        this.updateHistoryIndicator();
+    }
+    
+    hideStateDiff() {
+        if (!this._diffSavedState) return;
+        
+        this.compareDiff = null;
+        Object.assign(this, this._diffSavedState);
+        this._diffSavedState = null;
+        this.updateComparePanel();
+    }
+    
+    diffHistoryStates(fromState, toState) {
+        const nodesOf = (graph) => {
+            const nodes = new Set(graph.keys());
+            graph.forEach(deps => deps.forEach(dep => nodes.add(dep)));
+            return nodes;
+        };
+        const fromNodes = nodesOf(fromState.dependencyGraph);
+        const toNodes = nodesOf(toState.dependencyGraph);
+        
+        const graph = new Map();
+        const nodes = new Map();
+        const edges = new Map();
+        const dependencyChanges = new Map();
+        
+        new Set([...fromNodes, ...toNodes]).forEach(node => {
+            const fromDeps = fromState.dependencyGraph.get(node) || [];
+            const toDeps = toState.dependencyGraph.get(node) || [];
+            graph.set(node, [...new Set([...fromDeps, ...toDeps])]);
             
-            // Reset history viewing state
-            this.viewingHistory = false;
+            // Edges are added or removed on their own; a node present on both sides is "changed" when its dependency list differs
+            const added = toDeps.filter(dep => !fromDeps.includes(dep));
+            const removed = fromDeps.filter(dep => !toDeps.includes(dep));
+            added.forEach(dep => edges.set(this.getEdgeKey(node, dep), 'added'));
+            removed.forEach(dep => edges.set(this.getEdgeKey(node, dep), 'removed'));
+            toDeps.filter(dep => fromDeps.includes(dep)).forEach(dep => edges.set(this.getEdgeKey(node, dep), 'unchanged'));
             
-            // Truncate history at current position and add new state
-            this.historyStates = this.historyStates.slice(0, this.historyPosition + 1);
+            if (!fromNodes.has(node)) {
+                nodes.set(node, 'added');
+            } else if (!toNodes.has(node)) {
+                nodes.set(node, 'removed');
+            } else if (added.length > 0 || removed.length > 0) {
+                nodes.set(node, 'changed');
+                dependencyChanges.set(node, { added, removed });
+            } else {
+                nodes.set(node, 'unchanged');
+            }
+        });
+        
+        const count = (map, status) => Array.from(map.values()).filter(value => value === status).length;
+        return {
+            graph,
+            stateGraphs: [fromState.dependencyGraph, toState.dependencyGraph],
+            nodes,
+            edges,
+            dependencyChanges,
+            summary: {
+                addedNodes: count(nodes, 'added'),
+                removedNodes: count(nodes, 'removed'),
+                changedNodes: count(nodes, 'changed'),
+                addedEdges: count(edges, 'added'),
+                removedEdges: count(edges, 'removed')
+            }
+        };
+    }
+    
+    updateComparePanel() {
+        const compareSummary = document.getElementById('compareSummary');
+        if (!compareSummary) return;
+        
+        const panel = compareSummary.closest('.graph-panel');
+        if (!this.compareDiff) {
+            panel.classList.remove('active');
+            compareSummary.innerHTML = '';
+            return;
         }
         
+        const { summary } = this.compareDiff;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        panel.classList.add('active');
+        compareSummary.innerHTML = `
+            <div class="compare-row diff-added"><span class="compare-swatch"></span>Added: ${plural(summary.addedNodes, 'node')}, ${plural(summary.addedEdges, 'edge')}</div>
+            <div class="compare-row diff-removed"><span class="compare-swatch"></span>Removed: ${plural(summary.removedNodes, 'node')}, ${plural(summary.removedEdges, 'edge')}</div>
+            <div class="compare-row diff-changed"><span class="compare-swatch"></span>Changed dependencies: ${plural(summary.changedNodes, 'node')}</div>
+        `;
+    }
+    
+    saveHistoryState() {
         // Add the new state to history
-        this.historyStates.push(state);
+        this.historyStates.push(this.createHistoryState());
         this.historyPosition = this.historyStates.length - 1;
         
         // Update the history UI
         this.updateHistoryIndicator();
         this.updateHistoryNavigationButtons();
+        
+        this.scheduleSessionSave();
     }
     
-    setupCustomUploadUI() {
-        // Upload Custom button
-        const uploadCustomButton = document.getElementById('uploadCustomButton');
-        if (uploadCustomButton) {
-            uploadCustomButton.addEventListener('click', () => this.openCustomUploadPopup());
-        }
+    createHistoryState() {
+        // Create a deep copy of the current dependency graph
+        const graphCopy = new Map();
+        this.dependencyGraph.forEach((deps, node) => {
+            graphCopy.set(node, [...deps]); // Create a new array with the same values
+        });
         
-        // Close popup button
-        const closePopupButton = document.getElementById('closePopupButton');
-        if (closePopupButton) {
-            closePopupButton.addEventListener('click', () => this.closeCustomUploadPopup());
-        }
+        // Create a state object with the current dependency graph and other relevant information
+        return {
+            dependencyGraph: graphCopy,
+            componentRegistry: this.cloneComponentRegistry(this.componentRegistry),
+            versionChanges: new Map(this.versionChanges),
+            provenance: this.cloneProvenance(this.provenance),
+            timestamp: new Date(),
+            sbomCount: this.uploadedSboms.length
+        };
+    }
+    
+    branchFromViewedHistory() {
+        // An upload made while viewing an earlier state continues from that state: the later
+        // history states and the uploads that produced them are dropped
+        if (!this.viewingHistory) return;
         
-        // Click outside to close
-        const customUploadPopup = document.getElementById('customUploadPopup');
-        if (customUploadPopup) {
-            customUploadPopup.addEventListener('click', (e) => {
-                if (e.target === customUploadPopup) {
-                    this.closeCustomUploadPopup();
-                }
-            });
-        }
+        const viewedState = this.historyStates[this.historyPosition];
+        this.historyStates = this.historyStates.slice(0, this.historyPosition + 1);
+        this.uploadedSboms = this.uploadedSboms.slice(0, viewedState.sbomCount);
+        this.highlightedSboms = new Set(Array.from(this.highlightedSboms).filter(index => index < viewedState.sbomCount));
         
-        // Populate available SBOMs list
-        this.populateAvailableSbomsList();
+        // The predefined sequence continues after the stages that are left
+        this.currentStage = this.getCompletedStage(this.uploadedSboms);
         
-        // File upload handling
-        const sbomFileUpload = document.getElementById('sbomFileUpload');
-        if (sbomFileUpload) {
-            sbomFileUpload.addEventListener('change', (e) => {
-                if (e.target.files.length > 0) {
-                    this.customFileUpload = e.target.files[0];
-                    // Clear any selected SBOM from the list
-                    this.selectedSbomFile = null;
-                    this.updateSelectedSbomUI();
+        // The viewed state (already swapped in by updateHistoryView) becomes the current one
+        this._currentGraph = null;
+        this._currentRegistry = null;
+        this._currentVersionChanges = null;
+        this._currentProvenance = null;
+        this.viewingHistory = false;
+        
+        const graphContainer = document.getElementById('graphContainer');
+        if (graphContainer) {
+            graphContainer.classList.remove('viewing-history');
+        }
+        const progressFill = document.getElementById('progressFill');
+        if (progressFill) {
+            progressFill.classList.remove('historical');
+        }
+        this.updateStageIndicator();
+        this.updateProgress();
+    }
+    
+    getCompletedStage(sboms) {
+        // Index of the last predefined stage among the given uploads (-1 if there is none)
+        return sboms.reduce((stage, sbom) => Math.max(stage,
+            sbom.stageFile ? this.sbomData.findIndex(data => data.stageFile === sbom.stageFile) : -1), -1);
+    }
+    
+    restoreLatestHistoryState() {
+        // Make the latest snapshot the current state
+        const latest = this.historyStates[this.historyStates.length - 1];
+        this.dependencyGraph = new Map(Array.from(latest.dependencyGraph, ([node, deps]) => [node, [...deps]]));
+        this.componentRegistry = this.cloneComponentRegistry(latest.componentRegistry);
+        this.versionChanges = new Map(latest.versionChanges);
+        this.provenance = this.cloneProvenance(latest.provenance);
+        this._currentGraph = null;
+        this._currentRegistry = null;
+        this._currentVersionChanges = null;
+        this._currentProvenance = null;
+        this.historyPosition = this.historyStates.length - 1;
+        this.viewingHistory = false;
+    }
+    
+    replayUploads(sboms) {
+        // Rebuild the graph and its history from scratch by uploading the SBOMs again, in order
+        const saved = {
+            dependencyGraph: this.dependencyGraph,
+            componentRegistry: this.componentRegistry,
+            versionChanges: this.versionChanges,
+            provenance: this.provenance,
+            uploadedSboms: this.uploadedSboms
+        };
+        this.dependencyGraph = new Map();
+        this.componentRegistry = new Map();
+        this.versionChanges = new Map();
+        this.provenance = this.createEmptyProvenance();
+        this.uploadedSboms = [];
+        
+        const historyStates = [this.createHistoryState()];
+        const conflicts = [];
+        const mergeDecisions = new Map();
+        try {
+            sboms.forEach((sbom, index) => {
+                // Uploads without Force Mode may not be valid any more in their new position; their merge
+                // decisions are kept only for the nodes that still conflict
+                if (!sbom.forceMode) {
+                    if (sbom.mergeDecisions) {
+                        mergeDecisions.set(sbom, this.getApplicableMergeDecisions(sbom));
+                    }
+                    const validationResult = this.validateSbomForNonForceMode(sbom);
+                    if (!validationResult.valid) {
+                        conflicts.push({ index, message: validationResult.message });
+                    }
+                }
+                
+                this.uploadedSboms.push(sbom);
+                this.updateDependencyGraph(sbom);
+                historyStates.push(this.createHistoryState());
+            });
+            return { historyStates, conflicts, mergeDecisions };
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+    
+    removeUploadedSbom(index) {
+        const sbom = this.uploadedSboms[index];
+        if (!sbom) return;
+        
+        this.previewReplay(this.uploadedSboms.filter((_, i) => i !== index),
+            `Remove stage ${index + 1}: ${this.getComponentRef(sbom.metadata.component)}`);
+    }
+    
+    moveUploadedSbom(fromIndex, toIndex) {
+        const sbom = this.uploadedSboms[fromIndex];
+        if (!sbom || fromIndex === toIndex) return;
+        
+        const sboms = [...this.uploadedSboms];
+        sboms.splice(fromIndex, 1);
+        sboms.splice(toIndex, 0, sbom);
+        this.previewReplay(sboms,
+            `Move stage ${fromIndex + 1} (${this.getComponentRef(sbom.metadata.component)}) to position ${toIndex + 1}`);
+    }
+    
+    previewReplay(sboms, description) {
+        this.exitDiffViews();
+        
+        // The replay is compared with the current state, not with a historical one being viewed
+        if (this.viewingHistory) {
+            this.historyPosition = this.historyStates.length - 1;
+            this.viewingHistory = false;
+            this.updateHistoryView();
+        }
+        
+        const result = this.replayUploads(sboms);
+        this.replayPreview = { sboms, result };
+        this.showStateDiff(this.historyStates[this.historyStates.length - 1], result.historyStates[result.historyStates.length - 1]);
+        
+        const replayDescription = document.getElementById('replayDescription');
+        const replayConflicts = document.getElementById('replayConflicts');
+        replayDescription.textContent = description;
+        replayConflicts.innerHTML = result.conflicts.map(conflict => `
+            <div class="replay-conflict">Stage ${conflict.index + 1}: ${this.escapeHtml(conflict.message)}</div>
+        `).join('');
+        replayDescription.closest('.graph-panel').classList.add('active');
+    }
+    
+    cancelReplayPreview() {
+        if (!this.replayPreview) return;
+        
+        this.replayPreview = null;
+        this.hideStateDiff();
+        document.getElementById('replayDescription').closest('.graph-panel').classList.remove('active');
+        
+        this.renderGraph();
+        this.updateHistoryIndicator();
+    }
+    
+    applyReplay() {
+        if (!this.replayPreview) return;
+        
+        const { sboms, result } = this.replayPreview;
+        this.replayPreview = null;
+        this.hideStateDiff();
+        document.getElementById('replayDescription').closest('.graph-panel').classList.remove('active');
+        
+        // Highlights follow their SBOMs to their new positions
+        const previousSboms = this.uploadedSboms;
+        this.highlightedSboms = new Set(Array.from(this.highlightedSboms)
+            .map(index => sboms.indexOf(previousSboms[index]))
+            .filter(index => index >= 0));
+        
+        // Decisions that no longer match a conflict are dropped
+        result.mergeDecisions.forEach((decisions, sbom) => {
+            if (Object.keys(decisions).length > 0) {
+                sbom.mergeDecisions = decisions;
+            } else {
+                delete sbom.mergeDecisions;
+            }
+        });
+        
+        this.uploadedSboms = sboms;
+        this.historyStates = result.historyStates;
+        this.restoreLatestHistoryState();
+        this.currentStage = this.getCompletedStage(sboms);
+        
+        this.updateDisplay();
+        this.updateStageIndicator();
+        this.updateProgress();
+        this.updateHistoryIndicator();
+        this.updateHistoryNavigationButtons();
+        this.scheduleSessionSave();
+    }
+    
+    serializeSession() {
+        // Plain JSON: Maps become arrays of entries, dates become ISO strings
+        const serializeState = state => ({
+            dependencyGraph: Array.from(state.dependencyGraph),
+            componentRegistry: Array.from(state.componentRegistry || []),
+            versionChanges: Array.from(state.versionChanges || []),
+            provenance: {
+                nodes: Array.from(state.provenance ? state.provenance.nodes : []),
+                edges: Array.from(state.provenance ? state.provenance.edges : [])
+            },
+            timestamp: new Date(state.timestamp).toISOString(),
+            sbomCount: state.sbomCount
+        });
+        
+        return {
+            format: 'sbom-visualizer-session',
+            version: 1,
+            savedAt: new Date().toISOString(),
+            sbomFileNames: this.sbomFileNames,
+            currentStage: this.currentStage,
+            uploadedSboms: this.uploadedSboms,
+            historyStates: this.historyStates.map(serializeState),
+            historyPosition: this.historyPosition,
+            viewingHistory: this.viewingHistory,
+            highlightedSboms: Array.from(this.highlightedSboms),
+            layoutMode: this.layoutMode,
+            savedFilters: this.savedFilters.filter(filter => !filter.builtIn),
+            activeFilterName: this.activeFilterName,
+            collapsedNodes: Array.from(this.collapsedNodes),
+            vulnerabilityFeeds: this.vulnerabilityFeeds.map(feed => ({ name: feed.name, document: feed.document })),
+            includeSbomVulnerabilities: this.includeSbomVulnerabilities
+        };
+    }
+    
+    applySession(session) {
+        if (!session || session.format !== 'sbom-visualizer-session' || !Array.isArray(session.historyStates) ||
+            session.historyStates.length === 0) {
+            return false;
+        }
+        
+        // The whole session is read and checked before any of it replaces the current state, so a session that
+        // fails part-way leaves the current one (and what the next autosave stores) untouched
+        const historyStates = session.historyStates.map((state, index) => {
+            const dependencyGraph = new Map(state.dependencyGraph);
+            dependencyGraph.forEach((deps, node) => {
+                if (typeof node !== 'string' || !Array.isArray(deps)) {
+                    throw new Error(`History state ${index + 1} has an invalid dependency graph`);
+                }
+            });
+            return {
+                dependencyGraph,
+                componentRegistry: new Map(state.componentRegistry),
+                versionChanges: new Map(state.versionChanges),
+                // Sessions saved before provenance was recorded have none
+                provenance: {
+                    nodes: new Map(state.provenance ? state.provenance.nodes : []),
+                    edges: new Map(state.provenance ? state.provenance.edges : [])
+                },
+                timestamp: new Date(state.timestamp),
+                sbomCount: state.sbomCount
+            };
+        });
+        
+        const uploadedSboms = session.uploadedSboms || [];
+        if (!Array.isArray(uploadedSboms)) {
+            throw new Error('The uploaded SBOMs of the session are not a list');
+        }
+        uploadedSboms.forEach((sbom, index) => {
+            // Uploads are stored after loading, which gives every one a root component and component/dependency lists
+            if (!sbom || !sbom.metadata || !sbom.metadata.component ||
+                typeof this.getComponentRef(sbom.metadata.component) !== 'string' ||
+                !Array.isArray(sbom.components) || !Array.isArray(sbom.dependencies)) {
+                throw new Error(`Uploaded SBOM ${index + 1} has no metadata.component, components or dependencies`);
+            }
+        });
+        
+        const storedFilters = session.savedFilters || [];
+        if (!Array.isArray(storedFilters) || storedFilters.some(filter => !filter || typeof filter.name !== 'string')) {
+            throw new Error('The saved filters of the session are invalid');
+        }
+        const savedFilters = [...this.getDefaultFilters(), ...storedFilters];
+        
+        // Feeds are stored as loaded and read again
+        const vulnerabilityFeeds = (session.vulnerabilityFeeds || []).map(feed => {
+            try {
+                return this.createVulnerabilityFeed(feed.document, feed.name);
+            } catch (error) {
+                console.error('Error restoring vulnerability feed:', error);
+                return null;
+            }
+        }).filter(Boolean);
+        const highlightedSboms = new Set(session.highlightedSboms || []);
+        const collapsedNodes = new Set(session.collapsedNodes || []);
+        
+        // Nothing below throws on session data
+        this.exitDiffViews();
+        this.historyStates = historyStates;
+        this.uploadedSboms = uploadedSboms;
+        this.highlightedSboms = highlightedSboms;
+        
+        // The predefined sequence only continues where it left off if the page shows the same sequence
+        const sameSequence = JSON.stringify(session.sbomFileNames) === JSON.stringify(this.sbomFileNames);
+        this.currentStage = sameSequence ? session.currentStage : -1;
+        
+        if (session.layoutMode) {
+            this.layoutMode = session.layoutMode;
+            const layoutModeSelect = document.getElementById('layoutModeSelect');
+            if (layoutModeSelect) layoutModeSelect.value = this.layoutMode;
+        }
+        
+        this.savedFilters = savedFilters;
+        this.activeFilterName = this.savedFilters.some(filter => filter.name === session.activeFilterName)
+            ? session.activeFilterName
+            : '';
+        this.updateFilterSelect();
+        this.collapsedNodes = collapsedNodes;
+        
+        this.vulnerabilityFeeds = vulnerabilityFeeds;
+        this.includeSbomVulnerabilities = session.includeSbomVulnerabilities !== false;
+        const sbomVulnerabilitiesCheckbox = document.getElementById('sbomVulnerabilitiesCheckbox');
+        if (sbomVulnerabilitiesCheckbox) sbomVulnerabilitiesCheckbox.checked = this.includeSbomVulnerabilities;
+        
+        // The latest snapshot is the current state
+        this.restoreLatestHistoryState();
+        this.nodePositions = new Map();
+        this.previousLayoutX = new Map();
+        this.userAdjustedView = false;
+        
+        const position = Math.min(Math.max(session.historyPosition, 0), this.historyStates.length - 1);
+        
+        this.updateDisplay();
+        this.updateStageIndicator();
+        this.updateProgress();
+        
+        // Go back to the snapshot that was on screen
+        if (session.viewingHistory && position < this.historyStates.length - 1) {
+            this.historyPosition = position;
+            this.viewingHistory = true;
+            this.updateHistoryView();
+        } else {
+            this.updateHistoryIndicator();
+            this.updateHistoryNavigationButtons();
+        }
+        
+        return true;
+    }
+    
+    openSessionDatabase() {
+        // One connection serves every load, autosave and clear; it is opened again only after it was closed or failed
+        if (!this.sessionDatabase) {
+            this.sessionDatabase = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                
+                const request = window.indexedDB.open('sbom-visualizer', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('sessions');
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let another tab upgrade the database, and drop a connection the browser closed
+                    db.onversionchange = () => {
+                        db.close();
+                        this.sessionDatabase = null;
+                    };
+                    db.onclose = () => {
+                        this.sessionDatabase = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            });
+            this.sessionDatabase.catch(() => {
+                this.sessionDatabase = null;
+            });
+        }
+        return this.sessionDatabase;
+    }
+    
+    async loadSessionFromStorage() {
+        try {
+            const db = await this.openSessionDatabase();
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction('sessions', 'readonly').objectStore('sessions').get(this.getSessionKey());
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Error loading saved session:', error);
+            return null;
+        }
+    }
+    
+    getSessionKey() {
+        // Every scenario keeps its own saved session
+        return `autosave:${this.scenarioId}`;
+    }
+    
+    scheduleSessionSave() {
+        // Collect bursts of changes (e.g. an upload followed by its history snapshot) into one write
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => this.saveSessionToStorage(), 500);
+    }
+    
+    async saveSessionToStorage() {
+        try {
+            const db = await this.openSessionDatabase();
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction('sessions', 'readwrite');
+                transaction.objectStore('sessions').put(this.serializeSession(), this.getSessionKey());
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error('Error saving session:', error);
+        }
+    }
+    
+    async startNewSession() {
+        if (!window.confirm('Start a new session? All uploads and history of the current session will be discarded.')) {
+            return;
+        }
+        
+        clearTimeout(this.sessionSaveTimer);
+        try {
+            const db = await this.openSessionDatabase();
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction('sessions', 'readwrite');
+                transaction.objectStore('sessions').delete(this.getSessionKey());
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error('Error clearing saved session:', error);
+        }
+        window.location.reload();
+    }
+    
+    exportSession() {
+        this.downloadFile(JSON.stringify(this.serializeSession()), 'sbom-session.json', 'application/json');
+    }
+    
+    async importSession(file) {
+        try {
+            const session = JSON.parse(await file.text());
+            if (!this.applySession(session)) {
+                throw new Error('The file is not an SBOM Visualizer session');
+            }
+            this.scheduleSessionSave();
+            this.showNotification('Session Imported', `Loaded ${this.uploadedSboms.length} uploaded SBOMs from ${file.name}`);
+        } catch (error) {
+            console.error('Error importing session:', error);
+            this.showNotification('Import Failed', `Could not import ${file.name}: ${error.message}`);
+        }
+    }
+    
+    setupCustomUploadUI() {
+        // Upload Custom button
+        const uploadCustomButton = document.getElementById('uploadCustomButton');
+        if (uploadCustomButton) {
+            uploadCustomButton.addEventListener('click', () => this.openCustomUploadPopup());
+        }
+        
+        // Close popup button
+        const closePopupButton = document.getElementById('closePopupButton');
+        if (closePopupButton) {
+            closePopupButton.addEventListener('click', () => this.closeCustomUploadPopup());
+        }
+        
+        // Click outside to close
+        const customUploadPopup = document.getElementById('customUploadPopup');
+        if (customUploadPopup) {
+            customUploadPopup.addEventListener('click', (e) => {
+                if (e.target === customUploadPopup) {
+                    this.closeCustomUploadPopup();
+                }
+            });
+        }
+        
+        // Populate available SBOMs list
+        this.populateAvailableSbomsList();
+        
+        // File upload handling
+        const sbomFileUpload = document.getElementById('sbomFileUpload');
+        if (sbomFileUpload) {
+            sbomFileUpload.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.customFileUpload = e.target.files[0];
+                    // Clear any selected SBOM from the list
+                    this.selectedSbomFile = null;
+                    this.updateSelectedSbomUI();
                     console.log(`Custom file selected: ${this.customFileUpload.name}`);
                     
                     // Display preview for the uploaded file
@@ -450,6 +1604,30 @@ class SBOMVisualizer {
             });
         }
         
+        // Switching lenient validation loads the selected SBOM again with the new setting
+        const lenientCheckbox = document.getElementById('popupLenientCheckbox');
+        if (lenientCheckbox) {
+            lenientCheckbox.addEventListener('change', () => {
+                if (this.selectedSbomFile) {
+                    this.loadAndDisplaySbomPreview(this.selectedSbomFile.path);
+                } else if (this.customFileUpload) {
+                    this.displayCustomFilePreview(this.customFileUpload);
+                }
+            });
+        }
+        
+        // "Set all to" buttons of the conflict report
+        const conflictReport = document.getElementById('conflictReport');
+        if (conflictReport) {
+            conflictReport.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-conflict-all]');
+                if (!button) return;
+                conflictReport.querySelectorAll('.conflict-decision').forEach(select => {
+                    select.value = button.dataset.conflictAll;
+                });
+            });
+        }
+        
         // Upload Selected SBOM button
         const uploadSelectedSbom = document.getElementById('uploadSelectedSbom');
         if (uploadSelectedSbom) {
@@ -513,6 +1691,12 @@ class SBOMVisualizer {
                     this.selectedSbomFile = this.availableSbomFiles.find(file => file.path === path);
                     this.customFileUpload = null; // Clear any custom file upload
                     
+                    // Suggest the Force Mode setting the manifest gives for this SBOM
+                    const forceModeCheckbox = document.getElementById('popupForceModeCheckbox');
+                    if (forceModeCheckbox) {
+                        forceModeCheckbox.checked = this.selectedSbomFile.forceMode === true;
+                    }
+                    
                     // Update UI to show selected item
                     this.updateSelectedSbomUI();
                     
@@ -532,6 +1716,9 @@ class SBOMVisualizer {
     }
     
     updateSelectedSbomUI() {
+        // A conflict report belongs to the SBOM it was made for
+        this.hideConflictReport();
+        
         // Clear all selected states
         const items = document.querySelectorAll('.sbom-file-item');
         items.forEach(item => item.classList.remove('selected'));
@@ -557,18 +1744,22 @@ class SBOMVisualizer {
             `;
             
             // Load the SBOM data
-            const sbomData = await this.loadSbomFromPath(path);
+            const sbomData = await this.loadSbomFromPath(path, { lenient: this.isLenientValidation() });
             
             // Display the SBOM data
             this.displaySbomPreview(sbomData, sbomPreview);
+            this.showPreviewValidation(sbomData);
             
         } catch (error) {
             console.error('Error loading SBOM preview:', error);
             sbomPreview.innerHTML = `
                 <div class="sbom-title">Error</div>
-                <div class="sbom-metadata">Failed to load SBOM data</div>
+                <div class="sbom-metadata">${error.validationIssues ? 'SBOM failed validation' : 'Failed to load SBOM data'}</div>
                 <div class="component-list"></div>
             `;
+            if (error.validationIssues) {
+                this.showValidationFailure(error.validationIssues);
+            }
         }
     }
     
@@ -584,17 +1775,21 @@ class SBOMVisualizer {
         
         const reader = new FileReader();
         
-        reader.onload = (event) => {
+        reader.onload = async (event) => {
             try {
-                const sbomData = JSON.parse(event.target.result);
+                const sbomData = await this.parseSbomText(event.target.result, file.name, { lenient: this.isLenientValidation() });
                 this.displaySbomPreview(sbomData, sbomPreview);
+                this.showPreviewValidation(sbomData);
             } catch (error) {
                 console.error('Error parsing custom file:', error);
                 sbomPreview.innerHTML = `
                     <div class="sbom-title">Error</div>
-                    <div class="sbom-metadata">Invalid JSON file. Please upload a valid SBOM JSON file.</div>
+                    <div class="sbom-metadata">${error.validationIssues ? 'SBOM failed validation' : this.escapeHtml(error.message)}</div>
                     <div class="component-list"></div>
                 `;
+                if (error.validationIssues) {
+                    this.showValidationFailure(error.validationIssues);
+                }
             }
         };
         
@@ -611,11 +1806,16 @@ class SBOMVisualizer {
     }
 
     displaySbomPreview(sbomData, previewElement) {
+        // Refs that no component of this SBOM declares are marked in the dependency list
+        const integrityIssues = this.checkSbomIntegrity(sbomData);
+        const danglingRefs = new Set(integrityIssues.filter(issue => issue.kind === 'dangling').map(issue => issue.node));
+        const getTagClass = (ref) => this.getComponentTagClass(ref, sbomData) + (danglingRefs.has(ref) ? ' dangling-tag' : '');
+        
         // Create dependency visualization
         const dependencyVisualization = sbomData.dependencies
             .map(dep => {
                 // Pass the current SBOM context for proper classification
-                const componentTagClass = this.getComponentTagClass(dep.ref, sbomData);
+                const componentTagClass = getTagClass(dep.ref);
 
                 return `
                 <div class="dependency-item">
@@ -624,7 +1824,7 @@ class SBOMVisualizer {
                     <div class="dependency-list">
                         ${dep.dependsOn.map(d => {
                     // Pass the current SBOM context for proper classification
-                    const dependencyTagClass = this.getComponentTagClass(d, sbomData);
+                    const dependencyTagClass = getTagClass(d);
                     return `<span class="${dependencyTagClass}">${d}</span>`;
                 }).join('')}
                     </div>
@@ -634,18 +1834,78 @@ class SBOMVisualizer {
 
         // Update the preview with the data
         previewElement.innerHTML = `
-        <div class="sbom-title">${sbomData.metadata.component.purl}</div>
-        <div class="sbom-metadata">${sbomData.bomFormat} v${sbomData.specVersion}</div>
+        <div class="sbom-title">${this.getComponentRef(sbomData.metadata.component)}</div>
+        <div class="sbom-metadata">${sbomData.bomFormat} v${sbomData.specVersion}${sbomData.validationWarnings ? ` · ${sbomData.validationWarnings.length} warning${sbomData.validationWarnings.length === 1 ? '' : 's'}` : ''}</div>
         <div class="component-list">
             ${dependencyVisualization ? `<div class="dependency-visualization">${dependencyVisualization}</div>` : ''}
         </div>
+        ${this.renderIntegrityIssues(integrityIssues)}
+        ${this.renderComponentDetails([sbomData.metadata.component, ...(sbomData.components || [])])}
     `;
     }
+    
+    renderIntegrityIssues(issues) {
+        if (issues.length === 0) {
+            return '';
+        }
+        
+        const counts = ['dangling', 'orphan', 'mismatch']
+            .map(kind => ({ kind, count: issues.filter(issue => issue.kind === kind).length }))
+            .filter(entry => entry.count > 0);
+        const labels = { dangling: 'dangling', orphan: 'orphan', mismatch: 'mismatched' };
+        return `
+            <div class="integrity-summary">
+                <div class="integrity-summary-title">Integrity: ${counts.map(entry => `${entry.count} ${labels[entry.kind]}`).join(', ')}</div>
+                <ul class="validation-issues">
+                    ${issues.map(issue => `<li class="integrity-${issue.kind}"><code>${this.escapeHtml(issue.path)}</code> ${this.escapeHtml(issue.message)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
 
+    isLenientValidation() {
+        const lenientCheckbox = document.getElementById('popupLenientCheckbox');
+        return lenientCheckbox !== null && lenientCheckbox.checked;
+    }
+    
+    showValidationIssues(message, issues, isWarning = false) {
+        // Every problem with the JSON path where it was found; very long lists are cut short
+        const validationError = document.getElementById('validationError');
+        if (!validationError) return;
+        
+        const shown = issues.slice(0, 50);
+        validationError.innerHTML = `
+            <div>${this.escapeHtml(message)}</div>
+            <ul class="validation-issues">
+                ${shown.map(issue => `<li><code>${this.escapeHtml(issue.path)}</code> ${this.escapeHtml(issue.message)}</li>`).join('')}
+                ${issues.length > shown.length ? `<li>… and ${issues.length - shown.length} more</li>` : ''}
+            </ul>
+        `;
+        validationError.classList.toggle('warning', isWarning);
+        validationError.classList.add('active');
+    }
+    
+    showValidationFailure(issues) {
+        this.showValidationIssues(`The SBOM is not valid (${issues.length} problem${issues.length === 1 ? '' : 's'}). ` +
+            'Turn on "Lenient validation" to load what can be loaded and see these as warnings.', issues);
+    }
+    
+    showPreviewValidation(sbomData) {
+        // A lenient load lists the problems it found; a clean preview clears earlier messages
+        const warnings = sbomData.validationWarnings || [];
+        if (warnings.length > 0) {
+            this.showValidationIssues(`Loaded leniently with ${warnings.length} warning${warnings.length === 1 ? '' : 's'}. ` +
+                'Invalid parts were skipped; the rest can be uploaded.', warnings, true);
+        } else {
+            this.hideValidationError();
+        }
+    }
+    
     showValidationError(message) {
         const validationError = document.getElementById('validationError');
         if (validationError) {
             validationError.textContent = message;
+            validationError.classList.remove('warning');
             validationError.classList.add('active');
         }
     }
@@ -654,10 +1914,101 @@ class SBOMVisualizer {
         const validationError = document.getElementById('validationError');
         if (validationError) {
             validationError.textContent = '';
-            validationError.classList.remove('active');
+            validationError.classList.remove('active', 'warning');
+        }
+        
+        // Forget any acknowledged cycle warning and the conflict report
+        this.cycleWarningSource = null;
+        this.hideConflictReport();
+        const uploadButton = document.getElementById('uploadSelectedSbom');
+        if (uploadButton) {
+            uploadButton.textContent = 'Upload Selected SBOM';
+        }
+    }
+    
+    showValidationWarning(message) {
+        const validationError = document.getElementById('validationError');
+        if (validationError) {
+            validationError.textContent = message;
+            validationError.classList.add('active', 'warning');
+        }
+        
+        const uploadButton = document.getElementById('uploadSelectedSbom');
+        if (uploadButton) {
+            uploadButton.textContent = 'Upload Anyway';
+        }
+    }
+    
+    showConflictReport(conflicts, sourceKey) {
+        this.conflictReportSource = sourceKey;
+        this.showValidationWarning(`This SBOM changes the dependencies of ${conflicts.length} existing node${conflicts.length === 1 ? '' : 's'}. ` +
+            'Choose for each node whether to accept the new dependencies (replace), merge both lists or reject the change, ' +
+            'then upload again. Force Mode accepts all of them.');
+        
+        const uploadButton = document.getElementById('uploadSelectedSbom');
+        if (uploadButton) {
+            uploadButton.textContent = 'Upload with Decisions';
+        }
+        
+        const conflictReport = document.getElementById('conflictReport');
+        if (!conflictReport) return;
+        
+        const list = deps => deps.length > 0 ? deps.map(dep => this.escapeHtml(dep)).join(', ') : '<span class="conflict-none">none</span>';
+        const rows = conflicts.map(conflict => `
+            <tr>
+                <td class="conflict-node">${this.escapeHtml(conflict.node)}</td>
+                <td>${list(conflict.existing)}</td>
+                <td>${list(conflict.incoming)}</td>
+                <td>
+                    ${conflict.added.map(dep => `<div class="conflict-added">+ ${this.escapeHtml(dep)}</div>`).join('')}
+                    ${conflict.removed.map(dep => `<div class="conflict-removed">− ${this.escapeHtml(dep)}</div>`).join('')}
+                    ${conflict.versionBumps.map(bump => `<div class="conflict-version">${this.escapeHtml(bump.packageKey)} ${this.escapeHtml(bump.fromVersion)} → ${this.escapeHtml(bump.toVersion)}</div>`).join('')}
+                </td>
+                <td>
+                    <select class="conflict-decision" data-conflict-node="${this.escapeHtml(conflict.node)}">
+                        <option value="reject">Reject (keep existing)</option>
+                        <option value="merge">Merge (union)</option>
+                        <option value="accept">Accept (replace)</option>
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+        
+        conflictReport.innerHTML = `
+            <div class="conflict-report-actions">
+                <span>Set all to:</span>
+                <button class="conflict-all-button" data-conflict-all="reject">Reject</button>
+                <button class="conflict-all-button" data-conflict-all="merge">Merge</button>
+                <button class="conflict-all-button" data-conflict-all="accept">Accept</button>
+            </div>
+            <table class="conflict-table">
+                <thead>
+                    <tr><th>Node</th><th>Existing</th><th>Incoming</th><th>Changes</th><th>Decision</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        conflictReport.classList.add('active');
+    }
+    
+    hideConflictReport() {
+        this.conflictReportSource = null;
+        const conflictReport = document.getElementById('conflictReport');
+        if (conflictReport) {
+            conflictReport.innerHTML = '';
+            conflictReport.classList.remove('active');
         }
     }
     
+    getConflictDecisions() {
+        // Node -> 'accept' | 'merge' | 'reject', stored on the SBOM so replays apply the same decisions
+        const decisions = {};
+        document.querySelectorAll('#conflictReport .conflict-decision').forEach(select => {
+            decisions[select.dataset.conflictNode] = select.value;
+        });
+        return decisions;
+    }
+    
     async processSelectedSbom() {
         // Check if we have a selected SBOM or a custom file upload
         if (!this.selectedSbomFile && !this.customFileUpload) {
@@ -665,9 +2016,13 @@ class SBOMVisualizer {
             return;
         }
         
+        // Uploads are validated against the real graph, not a comparison
+        this.exitDiffViews();
+        
         // Get force mode setting from the popup checkbox
         const forceModeCheckbox = document.getElementById('popupForceModeCheckbox');
         const isForceMode = forceModeCheckbox && forceModeCheckbox.checked;
+        const sourceKey = this.selectedSbomFile ? this.selectedSbomFile.path : this.customFileUpload.name;
         
         try {
             let sbomData;
@@ -675,11 +2030,11 @@ class SBOMVisualizer {
             // Load the SBOM data
             if (this.selectedSbomFile) {
                 // Load from selected file in the list
-                sbomData = await this.loadSbomFromPath(this.selectedSbomFile.path);
+                sbomData = await this.loadSbomFromPath(this.selectedSbomFile.path, { lenient: this.isLenientValidation() });
                 console.log(`Loaded SBOM from path: ${this.selectedSbomFile.path}`);
             } else if (this.customFileUpload) {
                 // Load from uploaded file
-                sbomData = await this.loadSbomFromFile(this.customFileUpload);
+                sbomData = await this.loadSbomFromFile(this.customFileUpload, { lenient: this.isLenientValidation() });
                 console.log(`Loaded SBOM from uploaded file: ${this.customFileUpload.name}`);
             }
             
@@ -690,12 +2045,28 @@ class SBOMVisualizer {
             if (!isForceMode) {
                 const validationResult = this.validateSbomForNonForceMode(sbomData);
                 if (!validationResult.valid) {
-                    this.showValidationError(validationResult.message);
-                    return;
+                    // The first attempt shows every conflict; the next one applies the decisions made in the report
+                    if (this.conflictReportSource !== sourceKey) {
+                        this.showConflictReport(validationResult.conflicts, sourceKey);
+                        return;
+                    }
+                    sbomData.mergeDecisions = this.getConflictDecisions();
+                }
+                
+                // Optionally warn once about new dependency cycles; clicking upload again proceeds
+                const cycleCheckCheckbox = document.getElementById('popupCycleCheckCheckbox');
+                if (cycleCheckCheckbox && cycleCheckCheckbox.checked && this.cycleWarningSource !== sourceKey) {
+                    const newCycles = this.findNewCycles(sbomData);
+                    if (newCycles.length > 0) {
+                        this.showValidationWarning(`Warning: This SBOM would create ${newCycles.length} new dependency cycle${newCycles.length === 1 ? '' : 's'}: ${newCycles.map(path => path.join(' → ')).join('; ')}. Click "Upload Anyway" to continue.`);
+                        this.cycleWarningSource = sourceKey;
+                        return;
+                    }
                 }
             }
             
             // Add the SBOM to the uploaded list and update the dependency graph
+            this.branchFromViewedHistory();
             this.uploadedSboms.push(sbomData);
             this.updateDependencyGraph(sbomData);
             
@@ -713,39 +2084,39 @@ class SBOMVisualizer {
             }
             
             // Close the popup
+            this.hideValidationError();
             this.closeCustomUploadPopup();
             
             console.log(`SBOM uploaded successfully with force mode ${isForceMode ? 'enabled' : 'disabled'}`);
         } catch (error) {
             console.error('Error processing selected SBOM:', error);
-            this.showValidationError(`Error processing SBOM: ${error.message}`);
+            if (error.validationIssues) {
+                this.showValidationFailure(error.validationIssues);
+            } else {
+                this.showValidationError(`Error processing SBOM: ${error.message}`);
+            }
         }
     }
     
-    async loadSbomFromPath(path) {
+    async loadSbomFromPath(path, options = {}) {
         try {
             const response = await fetch(path);
             if (!response.ok) {
                 throw new Error(`Failed to load ${path}: ${response.statusText}`);
             }
-            return await response.json();
+            return await this.parseSbomText(await response.text(), path, options);
         } catch (error) {
             console.error(`Error loading SBOM from path ${path}:`, error);
             throw error;
         }
     }
     
-    async loadSbomFromFile(file) {
+    async loadSbomFromFile(file, options = {}) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             
             reader.onload = (event) => {
-                try {
-                    const data = JSON.parse(event.target.result);
-                    resolve(data);
-                } catch (error) {
-                    reject(new Error('Invalid JSON file. Please upload a valid SBOM JSON file.'));
-                }
+                this.parseSbomText(event.target.result, file.name, options).then(resolve, reject);
             };
             
             reader.onerror = () => {
@@ -756,620 +2127,4481 @@ class SBOMVisualizer {
         });
     }
     
-    validateSbomForNonForceMode(sbom) {
-        // If there are no existing nodes, any SBOM is valid
-        if (this.dependencyGraph.size === 0) {
-            return { valid: true };
+    async parseSbomText(text, sourceName, options = {}) {
+        let sbom;
+        let issues = [];
+        
+        // XML documents start with a declaration or the root element
+        if (text.trim().startsWith('<')) {
+            sbom = this.convertCycloneDxXml(text);
+        } else {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('Invalid SBOM file. Please upload a valid SBOM JSON or XML file.');
+            }
+            
+            // CycloneDX JSON is checked against the bundled schema of its spec version before anything uses it
+            issues = await this.validateSbomSchema(data);
+            sbom = this.normalizeSbomData(data);
         }
         
-        // Check if any dependencies in the SBOM would modify existing dependencies
-        for (const dep of sbom.dependencies) {
-            const nodeRef = dep.ref;
+        // Whatever the format, the graph needs a main component, components and dependency entries
+        // (problems the schema already reported at or below the same path are not repeated)
+        const reported = path => issues.some(issue => issue.path === path || issue.path.startsWith(`${path}.`) || issue.path.startsWith(`${path}[`));
+        issues = issues.concat(this.repairSbomStructure(sbom, sourceName).filter(issue => !reported(issue.path)));
+        
+        if (issues.length > 0) {
+            if (!options.lenient) {
+                const more = issues.length > 3 ? ` (and ${issues.length - 3} more)` : '';
+                const error = new Error(`${sourceName} is not a valid SBOM: ${issues.slice(0, 3)
+                    .map(issue => `${issue.path} ${issue.message}`).join('; ')}${more}`);
+                error.validationIssues = issues;
+                throw error;
+            }
             
-            // If the node already exists in the dependency graph
-            if (this.dependencyGraph.has(nodeRef)) {
-                const existingDeps = this.dependencyGraph.get(nodeRef);
-                const newDeps = dep.dependsOn;
-                
-                // Check if any existing dependencies would be modified
-                // This happens if:
-                // 1. The new dependencies are different from the existing ones
-                // 2. The new dependencies would replace existing ones
-                
-                // Check if the new dependencies are a subset of the existing ones
-                const wouldModify = newDeps.some(newDep => !existingDeps.includes(newDep)) ||
-                                    existingDeps.length !== newDeps.length;
-                
-                if (wouldModify) {
-                    return {
-                        valid: false,
-                        message: `Cannot upload without Force Mode: This SBOM would modify existing dependencies for node "${nodeRef}". Enable Force Mode to allow this modification.`
-                    };
-                }
-            }
+            // Lenient mode keeps what could be loaded and remembers the problems
+            sbom.validationWarnings = issues;
+            console.warn(`Loaded ${sourceName} with ${issues.length} validation warnings:`, issues);
         }
         
-        // If we get here, the SBOM is valid for non-force mode
-        return { valid: true };
+        // Remember where the SBOM came from, e.g. for the metadata of exported SBOMs
+        sbom.sourceName = sourceName;
+        return sbom;
     }
     
-    // This method is no longer needed as we've replaced the force mode checkbox with a popup
-    // Keeping an empty implementation for backward compatibility
-    updateForceModeUI(isEnabled) {
-        // No longer used
+    async validateSbomSchema(data) {
+        if (!data || typeof data !== 'object' || data.bomFormat !== 'CycloneDX') {
+            return [];
+        }
+        
+        const schemaFile = this.schemaFiles[data.specVersion];
+        if (!schemaFile) {
+            console.warn(`No bundled schema for CycloneDX ${data.specVersion}; only the structure of the SBOM is checked`);
+            return [];
+        }
+        
+        // The BOM schemas refer to the SPDX license list and the JSON signature schema
+        const documents = new Map();
+        await Promise.all([schemaFile, 'spdx.schema.json', 'jsf-0.82.schema.json'].map(async fileName => {
+            documents.set(fileName, await this.loadSchemaDocument(fileName));
+        }));
+        
+        const issues = [];
+        this.validateJsonSchema(data, documents.get(schemaFile), '$', { documents, file: schemaFile, issues });
+        return issues;
     }
-
-    nextStage() {
-        // Check if data is loaded and there are more stages
-        if (this.sbomData.length > 0 && this.currentStage < this.sbomData.length - 1) {
-            this.currentStage++;
-            const sbom = this.sbomData[this.currentStage];
-            
-            // Note: Force mode is now handled in the custom upload popup
-            // The predefined sequence uses the forceMode flag set during loading
-            
-            this.uploadedSboms.push(sbom);
-            this.updateDependencyGraph(sbom);
-            
-            // Save the current state to history
-            this.saveHistoryState();
-            
-            this.updateDisplay();
-            this.animateGraphUpdate();
-            this.updateStageIndicator();
-            this.updateProgress();
-            
-            // Show notification if this is the first SBOM added
-            if (this.uploadedSboms.length === 1) {
-                this.showSbomAddedNotification(sbom);
-            }
-        } else if (this.sbomData.length === 0) {
-            console.warn('Cannot proceed to next stage: SBOM data not loaded yet');
+    
+    loadSchemaDocument(fileName) {
+        // Schemas are fetched once from the bundled copies and shared by every validation
+        if (!this.schemaDocuments.has(fileName)) {
+            this.schemaDocuments.set(fileName, fetch(`${this.schemaPath}${fileName}`).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load the schema ${this.schemaPath}${fileName}: ${response.status} ${response.statusText}`);
+                }
+                return response.json();
+            }).catch(error => {
+                this.schemaDocuments.delete(fileName);
+                throw error;
+            }));
         }
+        return this.schemaDocuments.get(fileName);
     }
     
-    showSbomAddedNotification(sbom) {
-        // Create notification element if it doesn't exist
-        let notification = document.getElementById('sbomAddedNotification');
-        if (!notification) {
-            notification = document.createElement('div');
-            notification.id = 'sbomAddedNotification';
-            notification.className = 'sbom-notification';
-            document.body.appendChild(notification);
+    validateJsonSchema(value, schema, path, context) {
+        // A small JSON Schema (draft-07) validator covering the keywords used by the CycloneDX schemas
+        if (schema === true || schema === undefined) return;
+        const addIssue = (message, issuePath = path) => context.issues.push({ path: issuePath, message });
+        if (schema === false) {
+            addIssue('is not allowed');
+            return;
         }
         
-        // Set notification content
-        notification.innerHTML = `
-            <div class="notification-content">
-                <div class="notification-title">SBOM Added</div>
-                <div class="notification-message">Added SBOM: ${sbom.metadata.component.purl}</div>
-            </div>
-            <button class="notification-close">&times;</button>
-        `;
+        // Siblings of $ref are ignored in draft-07
+        if (schema.$ref) {
+            const target = this.resolveSchemaRef(schema.$ref, context);
+            this.validateJsonSchema(value, target.schema, path, { ...context, file: target.file });
+            return;
+        }
         
-        // Add close button functionality
-        const closeButton = notification.querySelector('.notification-close');
-        if (closeButton) {
-            closeButton.addEventListener('click', () => {
-                notification.classList.remove('active');
-            });
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => this.getJsonType(value) === type || (type === 'number' && this.getJsonType(value) === 'integer'))) {
+                addIssue(`must be ${types.join(' or ')} (found ${this.getJsonType(value)})`);
+                return;
+            }
         }
         
-        // Show notification
-        notification.classList.add('active');
+        if (schema.enum && !(value !== null && typeof value === 'object'
+            ? schema.enum.some(option => this.jsonEquals(option, value))
+            : schema.enum.includes(value))) {
+            const options = schema.enum.map(option => JSON.stringify(option));
+            addIssue(`must be one of ${options.length > 8 ? `${options.slice(0, 8).join(', ')}, …` : options.join(', ')} (found ${JSON.stringify(value)})`);
+        }
+        if (schema.const !== undefined && !this.jsonEquals(schema.const, value)) {
+            addIssue(`must be ${JSON.stringify(schema.const)}`);
+        }
         
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            notification.classList.remove('active');
-        }, 5000);
-    }
-
-    updateDependencyGraph(sbom) {
-        // Check if this is a force mode SBOM
-        const isForceMode = sbom.forceMode === true;
+        if (typeof value === 'string') {
+            const length = Array.from(value).length;
+            if (schema.minLength !== undefined && length < schema.minLength) addIssue(`must be at least ${schema.minLength} characters long`);
+            if (schema.maxLength !== undefined && length > schema.maxLength) addIssue(`must be at most ${schema.maxLength} characters long`);
+            if (schema.pattern && !this.getSchemaPattern(schema.pattern).test(value)) addIssue(`does not match the pattern ${schema.pattern}`);
+            if (schema.format === 'date-time' && !(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value)))) {
+                addIssue('must be a date-time (e.g. 2024-01-31T12:00:00Z)');
+            }
+            if ((schema.format === 'email' || schema.format === 'idn-email') && !/^[^\s@]+@[^\s@]+$/.test(value)) {
+                addIssue('must be an email address');
+            }
+        }
         
-        // Check if there are components but no dependencies section or empty dependencies array
-        if (sbom.components && sbom.components.length > 0 && (!sbom.dependencies || sbom.dependencies.length === 0)) {
-            console.log('SBOM has components but no dependencies. Linking all components to the main component.');
-            
-            // Get the main component from metadata
-            const mainComponent = sbom.metadata.component.purl || sbom.metadata.component['bom-ref'];
-            
-            if (mainComponent) {
-                // Make sure the main component exists in the dependency graph
-                if (!this.dependencyGraph.has(mainComponent)) {
-                    this.dependencyGraph.set(mainComponent, []);
-                }
-                
-                // Link all components to the main component
-                sbom.components.forEach(component => {
-                    const componentRef = component.purl || component['bom-ref'];
-                    
-                    // Skip if the component is the same as the main component
-                    if (componentRef && componentRef !== mainComponent) {
-                        // Add the component to the main component's dependencies
-                        if (!this.dependencyGraph.get(mainComponent).includes(componentRef)) {
-                            this.dependencyGraph.get(mainComponent).push(componentRef);
-                        }
-                        
-                        // Make sure the component exists in the dependency graph
-                        if (!this.dependencyGraph.has(componentRef)) {
-                            this.dependencyGraph.set(componentRef, []);
-                        }
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) addIssue(`must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) addIssue(`must be at most ${schema.maximum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) addIssue(`must be greater than ${schema.exclusiveMinimum}`);
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) addIssue(`must be less than ${schema.exclusiveMaximum}`);
+        }
+        
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) addIssue(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) addIssue(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+            if (schema.uniqueItems) {
+                const seen = new Map();
+                value.forEach((item, index) => {
+                    const key = this.getCanonicalJson(item);
+                    if (seen.has(key)) {
+                        addIssue(`duplicates item ${seen.get(key)} (items must be unique)`, this.getJsonPath(path, index));
+                    } else {
+                        seen.set(key, index);
                     }
                 });
             }
-        } else {
-            // Process dependencies from the new SBOM
-            sbom.dependencies.forEach(dep => {
-                if (!this.dependencyGraph.has(dep.ref)) {
-                    // Node doesn't exist yet, create it
-                    this.dependencyGraph.set(dep.ref, []);
+            if (Array.isArray(schema.items)) {
+                schema.items.forEach((itemSchema, index) => {
+                    if (index < value.length) this.validateJsonSchema(value[index], itemSchema, this.getJsonPath(path, index), context);
+                });
+            } else if (schema.items !== undefined) {
+                value.forEach((item, index) => this.validateJsonSchema(item, schema.items, this.getJsonPath(path, index), context));
+            }
+        }
+        
+        if (this.getJsonType(value) === 'object') {
+            (schema.required || []).forEach(name => {
+                if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                    addIssue('is required', this.getJsonPath(path, name));
                 }
-                
-                if (isForceMode) {
-                    // In force mode, replace existing dependencies for this node
-                    console.log(`Force mode: Replacing dependencies for ${dep.ref}`);
-                    // Store the new dependencies
-                    this.dependencyGraph.set(dep.ref, [...dep.dependsOn]);
-                } else {
-                    // Regular mode: add new dependencies without replacing existing ones
-                    dep.dependsOn.forEach(dependency => {
-                        if (!this.dependencyGraph.get(dep.ref).includes(dependency)) {
-                            this.dependencyGraph.get(dep.ref).push(dependency);
-                        }
-                    });
+            });
+            Object.keys(value).forEach(name => {
+                const childPath = this.getJsonPath(path, name);
+                if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, name)) {
+                    this.validateJsonSchema(value[name], schema.properties[name], childPath, context);
+                } else if (schema.additionalProperties === false) {
+                    addIssue('is not an allowed property', childPath);
+                } else if (schema.additionalProperties !== undefined) {
+                    this.validateJsonSchema(value[name], schema.additionalProperties, childPath, context);
                 }
             });
         }
         
-        // Log the updated dependency graph
-        console.log('Updated dependency graph:', this.dependencyGraph);
+        (schema.allOf || []).forEach(subschema => this.validateJsonSchema(value, subschema, path, context));
+        
+        // anyOf/oneOf: report the problems of the alternative that came closest to matching
+        const tryAlternatives = alternatives => alternatives.map(subschema => {
+            const issues = [];
+            this.validateJsonSchema(value, subschema, path, { ...context, issues });
+            return issues;
+        });
+        const reportClosest = results => {
+            const closest = results.reduce((best, issues) => issues.length < best.length ? issues : best);
+            if (results.length > 1) addIssue(`does not match any of the ${results.length} allowed forms`);
+            closest.forEach(issue => context.issues.push(issue));
+        };
+        if (schema.anyOf) {
+            const results = tryAlternatives(schema.anyOf);
+            if (!results.some(issues => issues.length === 0)) reportClosest(results);
+        }
+        if (schema.oneOf) {
+            const results = tryAlternatives(schema.oneOf);
+            const matches = results.filter(issues => issues.length === 0).length;
+            if (matches === 0) {
+                reportClosest(results);
+            } else if (matches > 1) {
+                addIssue(`matches ${matches} of the allowed forms, but must match exactly one`);
+            }
+        }
+        if (schema.not) {
+            const issues = [];
+            this.validateJsonSchema(value, schema.not, path, { ...context, issues });
+            if (issues.length === 0) addIssue('matches a form that is not allowed');
+        }
+        if (schema.if) {
+            const issues = [];
+            this.validateJsonSchema(value, schema.if, path, { ...context, issues });
+            const branch = issues.length === 0 ? schema.then : schema.else;
+            if (branch !== undefined) this.validateJsonSchema(value, branch, path, context);
+        }
     }
-
-    updateDisplay() {
-        this.updateCurrentSbom();
-        this.updateNextSbom();
-        this.updateUploadedList();
-        this.renderGraph();
+    
+    resolveSchemaRef(ref, context) {
+        // "#/definitions/x" points into the current schema, "spdx.schema.json" or "jsf-0.82.schema.json#/..." into another one
+        const [filePart, pointer = ''] = ref.split('#');
+        const file = filePart || context.file;
+        let schema = context.documents.get(file);
+        if (schema === undefined) {
+            throw new Error(`Unresolved schema reference ${ref}`);
+        }
+        pointer.split('/').slice(1).forEach(part => {
+            schema = schema === undefined ? undefined : schema[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+        });
+        if (schema === undefined) {
+            throw new Error(`Unresolved schema reference ${ref}`);
+        }
+        return { schema, file };
     }
-
-    updateCurrentSbom() {
-        const currentSbom = document.getElementById('currentSbom');
-
-        // If no data is loaded yet
-        if (this.sbomData.length === 0) {
-            currentSbom.innerHTML = `
-            <div class="sbom-title">Loading SBOM data...</div>
-            <div class="sbom-metadata">Please wait</div>
-            <div class="component-list"></div>
-        `;
-            return;
+    
+    getSchemaPattern(pattern) {
+        if (!this.schemaPatterns.has(pattern)) {
+            this.schemaPatterns.set(pattern, new RegExp(pattern, 'u'));
         }
-
-        if (this.currentStage >= 0) {
-            const sbom = this.sbomData[this.currentStage];
-            const components = sbom.components.map(c => c.purl);
-
-            const dependencyVisualization = sbom.dependencies
-                .map(dep => {
-                    // Determine the appropriate tag class
-                    const componentTagClass = this.getComponentTagClass(dep.ref);
-
-                    return `
-                    <div class="dependency-item">
-                        <span class="${componentTagClass}">${dep.ref}</span>
-                        <span class="dependency-arrow">→</span>
-                        <div class="dependency-list">
-                            ${dep.dependsOn.map(d => {
-                        // Determine the appropriate tag class for each dependency
-                        const dependencyTagClass = this.getComponentTagClass(d);
-                        return `<span class="${dependencyTagClass}">${d}</span>`;
-                    }).join('')}
-                        </div>
-                    </div>
-                `;
-                }).join('');
-
-            currentSbom.innerHTML = `
-            <div class="sbom-title">${sbom.metadata.component.purl}</div>
-            <div class="sbom-metadata">${sbom.bomFormat} v${sbom.specVersion}</div>
-            <div class="component-list">
-                ${dependencyVisualization ? `<div class="dependency-visualization">${dependencyVisualization}</div>` : ''}
-            </div>
-        `;
-        } else {
-            currentSbom.innerHTML = `
-            <div class="sbom-title">No SBOM uploaded yet</div>
-            <div class="sbom-metadata">Click "Start Upload Process" to begin</div>
-            <div class="component-list"></div>
-        `;
+        return this.schemaPatterns.get(pattern);
+    }
+    
+    getJsonType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+    
+    getCanonicalJson(value) {
+        // JSON with sorted object keys, so equal values give equal strings
+        if (Array.isArray(value)) return `[${value.map(item => this.getCanonicalJson(item)).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.getCanonicalJson(value[key])}`).join(',')}}`;
         }
+        return JSON.stringify(value);
     }
-
-
-    updateNextSbom() {
-        const nextSbom = document.getElementById('nextSbom');
-        const nextButton = document.getElementById('nextButton');
-
-        // If no data is loaded yet
-        if (this.sbomData.length === 0) {
-            nextSbom.innerHTML = `
-            <div class="sbom-title">Loading SBOM data...</div>
-            <div class="sbom-metadata">Please wait</div>
-            <div class="component-list"></div>
-        `;
-
-            nextButton.textContent = 'Loading...';
-            nextButton.disabled = true;
-            return;
+    
+    jsonEquals(a, b) {
+        return this.getCanonicalJson(a) === this.getCanonicalJson(b);
+    }
+    
+    getJsonPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+    
+    repairSbomStructure(sbom, sourceName) {
+        // Reports what the graph cannot use and replaces it with something it can (kept only in lenient mode)
+        const issues = [];
+        const hasIdentity = component => component !== null && typeof component === 'object' && typeof this.getComponentRef(component) === 'string';
+        
+        if (!sbom.metadata || typeof sbom.metadata !== 'object') {
+            sbom.metadata = {};
         }
-
-        if (this.currentStage < this.sbomData.length - 1) {
-            const sbom = this.sbomData[this.currentStage + 1];
-            const components = sbom.components.map(c => c.purl);
-
-            const dependencyVisualization = sbom.dependencies
-                .map(dep => {
-                    // Pass the current SBOM context for proper classification
-                    const componentTagClass = this.getComponentTagClass(dep.ref, sbom);
-
-                    return `
-                    <div class="dependency-item">
-                        <span class="${componentTagClass}">${dep.ref}</span>
-                        <span class="dependency-arrow">→</span>
-                        <div class="dependency-list">
-                            ${dep.dependsOn.map(d => {
-                        // Pass the current SBOM context for proper classification
-                        const dependencyTagClass = this.getComponentTagClass(d, sbom);
-                        return `<span class="${dependencyTagClass}">${d}</span>`;
+        if (!hasIdentity(sbom.metadata.component)) {
+            issues.push({ path: '$.metadata.component', message: 'is required with a purl, bom-ref or name: it is the root of the SBOM in the graph' });
+            sbom.metadata.component = { type: 'application', name: sourceName, 'bom-ref': sourceName };
+        }
+        
+        if (sbom.components === undefined) {
+            sbom.components = [];
+        } else if (!Array.isArray(sbom.components)) {
+            issues.push({ path: '$.components', message: 'must be an array' });
+            sbom.components = [];
+        }
+        sbom.components = sbom.components.filter((component, index) => {
+            if (hasIdentity(component)) return true;
+            issues.push({ path: `$.components[${index}]`, message: 'needs a purl, bom-ref or name to be shown in the graph' });
+            return false;
+        });
+        
+        if (sbom.dependencies === undefined) {
+            sbom.dependencies = [];
+        } else if (!Array.isArray(sbom.dependencies)) {
+            issues.push({ path: '$.dependencies', message: 'must be an array' });
+            sbom.dependencies = [];
+        }
+        sbom.dependencies = sbom.dependencies.filter((dep, index) => {
+            if (!dep || typeof dep !== 'object' || typeof dep.ref !== 'string') {
+                issues.push({ path: `$.dependencies[${index}].ref`, message: 'is required and must be a string' });
+                return false;
+            }
+            if (dep.dependsOn === undefined) {
+                dep.dependsOn = [];
+            } else if (!Array.isArray(dep.dependsOn)) {
+                issues.push({ path: `$.dependencies[${index}].dependsOn`, message: 'must be an array' });
+                dep.dependsOn = [];
+            }
+            dep.dependsOn = dep.dependsOn.filter((ref, refIndex) => {
+                if (typeof ref === 'string') return true;
+                issues.push({ path: `$.dependencies[${index}].dependsOn[${refIndex}]`, message: 'must be a string' });
+                return false;
+            });
+            return true;
+        });
+        
+        return issues;
+    }
+    
+    convertCycloneDxXml(text) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid XML file. Please upload a well-formed CycloneDX XML file.');
+        }
+        
+        const bom = xml.documentElement;
+        const namespaceMatch = (bom.namespaceURI || '').match(/^http:\/\/cyclonedx\.org\/schema\/bom\/([0-9.]+)$/);
+        if (bom.localName !== 'bom' || !namespaceMatch) {
+            throw new Error('Unrecognized XML document. Expected a CycloneDX <bom> element.');
+        }
+        
+        // Element lookups go by local name so every CycloneDX namespace version is handled alike
+        const child = (element, name) => element && Array.from(element.children).find(el => el.localName === name);
+        const children = (element, name) => element ? Array.from(element.children).filter(el => el.localName === name) : [];
+        const textOf = (element, name) => {
+            const el = child(element, name);
+            return el ? el.textContent.trim() : undefined;
+        };
+        
+        const convertComponent = (element) => {
+            const component = { type: element.getAttribute('type') || 'library' };
+            if (element.hasAttribute('bom-ref')) component['bom-ref'] = element.getAttribute('bom-ref');
+            ['group', 'name', 'version', 'description', 'scope', 'publisher', 'copyright', 'cpe', 'purl'].forEach(field => {
+                const value = textOf(element, field);
+                if (value) component[field] = value;
+            });
+            
+            const supplier = child(element, 'supplier');
+            if (supplier && textOf(supplier, 'name')) component.supplier = { name: textOf(supplier, 'name') };
+            
+            const licenses = child(element, 'licenses');
+            if (licenses) {
+                component.licenses = Array.from(licenses.children).map(el => {
+                    if (el.localName === 'expression') return { expression: el.textContent.trim() };
+                    const license = {};
+                    if (textOf(el, 'id')) license.id = textOf(el, 'id');
+                    else if (textOf(el, 'name')) license.name = textOf(el, 'name');
+                    if (textOf(el, 'url')) license.url = textOf(el, 'url');
+                    return { license };
+                });
+            }
+            
+            const hashes = children(child(element, 'hashes'), 'hash');
+            if (hashes.length > 0) {
+                component.hashes = hashes.map(hash => ({ alg: hash.getAttribute('alg'), content: hash.textContent.trim() }));
+            }
+            return component;
+        };
+        
+        // Nested components are flattened into the top-level list, as the JSON path only reads components[]
+        const components = [];
+        const collectComponents = (container) => {
+            children(container, 'component').forEach(element => {
+                components.push(convertComponent(element));
+                collectComponents(child(element, 'components'));
+            });
+        };
+        collectComponents(child(bom, 'components'));
+        
+        const metadata = {};
+        const metadataElement = child(bom, 'metadata');
+        if (textOf(metadataElement, 'timestamp')) metadata.timestamp = textOf(metadataElement, 'timestamp');
+        const mainComponent = child(metadataElement, 'component');
+        if (mainComponent) metadata.component = convertComponent(mainComponent);
+        
+        const dependencies = children(child(bom, 'dependencies'), 'dependency').map(element => ({
+            ref: element.getAttribute('ref'),
+            dependsOn: children(element, 'dependency').map(dep => dep.getAttribute('ref'))
+        }));
+        
+        const sbom = {
+            bomFormat: 'CycloneDX',
+            specVersion: namespaceMatch[1],
+            version: parseInt(bom.getAttribute('version') || '1'),
+            metadata,
+            components,
+            dependencies
+        };
+        if (bom.hasAttribute('serialNumber')) sbom.serialNumber = bom.getAttribute('serialNumber');
+        
+        // Vulnerabilities (and VEX analysis) in the shape of the JSON format
+        const vulnerabilities = children(child(bom, 'vulnerabilities'), 'vulnerability').map(element => {
+            const vulnerability = { id: textOf(element, 'id') };
+            if (element.hasAttribute('bom-ref')) vulnerability['bom-ref'] = element.getAttribute('bom-ref');
+            if (textOf(element, 'description')) vulnerability.description = textOf(element, 'description');
+            const references = children(child(element, 'references'), 'reference').map(ref => ({ id: textOf(ref, 'id') }));
+            if (references.length > 0) vulnerability.references = references;
+            const ratings = children(child(element, 'ratings'), 'rating').map(rating => {
+                const converted = {};
+                ['severity', 'method', 'vector'].forEach(field => {
+                    if (textOf(rating, field)) converted[field] = textOf(rating, field);
+                });
+                if (textOf(rating, 'score')) converted.score = Number(textOf(rating, 'score'));
+                return converted;
+            });
+            if (ratings.length > 0) vulnerability.ratings = ratings;
+            const analysis = child(element, 'analysis');
+            if (analysis && textOf(analysis, 'state')) vulnerability.analysis = { state: textOf(analysis, 'state') };
+            vulnerability.affects = children(child(element, 'affects'), 'target').map(target => {
+                const converted = { ref: textOf(target, 'ref') };
+                const versions = children(child(target, 'versions'), 'version').map(version => {
+                    const entry = {};
+                    ['version', 'range', 'status'].forEach(field => {
+                        if (textOf(version, field)) entry[field] = textOf(version, field);
+                    });
+                    return entry;
+                });
+                if (versions.length > 0) converted.versions = versions;
+                return converted;
+            });
+            return vulnerability;
+        });
+        if (vulnerabilities.length > 0) sbom.vulnerabilities = vulnerabilities;
+        return sbom;
+    }
+    
+    normalizeSbomData(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Unrecognized SBOM format. Expected a CycloneDX or SPDX JSON document.');
+        }
+        
+        // SPDX 2.x documents carry an explicit spdxVersion field
+        if (typeof data.spdxVersion === 'string') {
+            return this.convertSpdx2Document(data);
+        }
+        
+        // SPDX 3.0 documents are JSON-LD with all elements in a flat @graph
+        const graph = data['@graph'] || data.graph;
+        if (Array.isArray(graph) && String(data['@context'] || '').includes('spdx')) {
+            return this.convertSpdx3Document(data, graph);
+        }
+        
+        if (data.bomFormat === 'CycloneDX') {
+            return data;
+        }
+        
+        throw new Error('Unrecognized SBOM format. Expected a CycloneDX or SPDX JSON document.');
+    }
+    
+    convertSpdx2Document(doc) {
+        const packages = doc.packages || [];
+        if (packages.length === 0) {
+            throw new Error('SPDX document does not contain any packages.');
+        }
+        
+        // Map every SPDXID to the reference used in the dependency graph (purl when available)
+        const refsById = new Map();
+        const componentsById = new Map();
+        packages.forEach(pkg => {
+            const purlRef = (pkg.externalRefs || []).find(ref => ref.referenceType === 'purl');
+            const purl = purlRef ? purlRef.referenceLocator : undefined;
+            const component = {
+                type: this.getSpdxComponentType(pkg.primaryPackagePurpose),
+                name: pkg.name,
+                'bom-ref': purl || pkg.SPDXID
+            };
+            if (pkg.versionInfo) component.version = pkg.versionInfo;
+            if (purl) component.purl = purl;
+            const supplier = this.parseSpdxActor(pkg.supplier);
+            if (supplier) component.supplier = { name: supplier };
+            if (pkg.description || pkg.summary) component.description = pkg.description || pkg.summary;
+            const license = [pkg.licenseDeclared, pkg.licenseConcluded]
+                .find(value => value && value !== 'NOASSERTION' && value !== 'NONE');
+            if (license) component.licenses = [{ expression: license }];
+            if (pkg.checksums && pkg.checksums.length > 0) {
+                component.hashes = pkg.checksums.map(checksum => ({
+                    alg: this.getSpdxHashAlgorithm(checksum.algorithm),
+                    content: checksum.checksumValue
+                }));
+            }
+            
+            refsById.set(pkg.SPDXID, component['bom-ref']);
+            componentsById.set(pkg.SPDXID, component);
+        });
+        
+        // Find the package the document describes; it becomes the main component
+        const relationships = doc.relationships || [];
+        const describedIds = [...(doc.documentDescribes || [])];
+        relationships.forEach(rel => {
+            if (rel.relationshipType === 'DESCRIBES' && rel.spdxElementId === doc.SPDXID) {
+                describedIds.push(rel.relatedSpdxElement);
+            } else if (rel.relationshipType === 'DESCRIBED_BY' && rel.relatedSpdxElement === doc.SPDXID) {
+                describedIds.push(rel.spdxElementId);
+            }
+        });
+        const mainId = describedIds.find(id => componentsById.has(id)) || packages[0].SPDXID;
+        
+        // Turn dependency relationships into edges, flipping the inverse relationship types
+        const edges = [];
+        relationships.forEach(rel => {
+            switch (rel.relationshipType) {
+                case 'DEPENDS_ON':
+                case 'CONTAINS':
+                    edges.push([rel.spdxElementId, rel.relatedSpdxElement]);
+                    break;
+                case 'DEPENDENCY_OF':
+                case 'CONTAINED_BY':
+                    edges.push([rel.relatedSpdxElement, rel.spdxElementId]);
+                    break;
+            }
+        });
+        
+        return this.buildNormalizedSbom({
+            format: 'SPDX',
+            specVersion: doc.spdxVersion.replace(/^SPDX-/, ''),
+            mainId,
+            componentsById,
+            refsById,
+            edges
+        });
+    }
+    
+    convertSpdx3Document(doc, graph) {
+        const elementsById = new Map();
+        graph.forEach(element => {
+            const id = element.spdxId || element['@id'];
+            if (id) elementsById.set(id, element);
+        });
+        const typeOf = element => String(element.type || element['@type'] || '').replace(/^spdx:/, '');
+        
+        const packages = graph.filter(element => typeOf(element) === 'software_Package');
+        if (packages.length === 0) {
+            throw new Error('SPDX document does not contain any packages.');
+        }
+        const relationships = graph.filter(element => typeOf(element) === 'Relationship' ||
+                                                      typeOf(element) === 'LifecycleScopedRelationship');
+        
+        // Licenses are attached through relationships to license expression elements
+        const licensesById = new Map();
+        relationships.forEach(rel => {
+            if (rel.relationshipType !== 'hasDeclaredLicense' && rel.relationshipType !== 'hasConcludedLicense') return;
+            const target = elementsById.get([].concat(rel.to)[0]);
+            const expression = target && target.simplelicensing_licenseExpression;
+            if (expression && (!licensesById.has(rel.from) || rel.relationshipType === 'hasDeclaredLicense')) {
+                licensesById.set(rel.from, expression);
+            }
+        });
+        
+        const refsById = new Map();
+        const componentsById = new Map();
+        packages.forEach(pkg => {
+            const id = pkg.spdxId || pkg['@id'];
+            const purlIdentifier = (pkg.externalIdentifier || [])
+                .find(identifier => identifier.externalIdentifierType === 'packageUrl');
+            const purl = pkg.software_packageUrl || (purlIdentifier ? purlIdentifier.identifier : undefined);
+            const component = {
+                type: this.getSpdxComponentType(pkg.software_primaryPurpose),
+                name: pkg.name,
+                'bom-ref': purl || id
+            };
+            if (pkg.software_packageVersion) component.version = pkg.software_packageVersion;
+            if (purl) component.purl = purl;
+            const supplier = elementsById.get(pkg.suppliedBy);
+            if (supplier && supplier.name) component.supplier = { name: supplier.name };
+            if (pkg.description || pkg.summary) component.description = pkg.description || pkg.summary;
+            if (licensesById.has(id)) component.licenses = [{ expression: licensesById.get(id) }];
+            const hashes = (pkg.verifiedUsing || []).filter(method => method.hashValue);
+            if (hashes.length > 0) {
+                component.hashes = hashes.map(hash => ({
+                    alg: this.getSpdxHashAlgorithm(hash.algorithm),
+                    content: hash.hashValue
+                }));
+            }
+            
+            refsById.set(id, component['bom-ref']);
+            componentsById.set(id, component);
+        });
+        
+        // The SBOM (or document) root elements point at the described package
+        const roots = graph
+            .filter(element => typeOf(element) === 'software_Sbom' || typeOf(element) === 'SpdxDocument')
+            .flatMap(element => [].concat(element.rootElement || []));
+        const describedIds = [...roots];
+        relationships.forEach(rel => {
+            if (rel.relationshipType === 'describes') {
+                describedIds.push(...[].concat(rel.to || []));
+            }
+        });
+        const mainId = describedIds.find(id => componentsById.has(id)) || packages[0].spdxId || packages[0]['@id'];
+        
+        const edges = [];
+        relationships.forEach(rel => {
+            if (rel.relationshipType === 'dependsOn' || rel.relationshipType === 'contains') {
+                [].concat(rel.to || []).forEach(to => edges.push([rel.from, to]));
+            }
+        });
+        
+        // The spec version lives in the shared CreationInfo element, or can be read from the context URL
+        const creationInfo = graph.find(element => typeOf(element) === 'CreationInfo');
+        const contextMatch = String(doc['@context'] || '').match(/\/(3\.[0-9.]+)\//);
+        const specVersion = (creationInfo && creationInfo.specVersion) || (contextMatch ? contextMatch[1] : '3.0');
+        
+        return this.buildNormalizedSbom({
+            format: 'SPDX',
+            specVersion,
+            mainId,
+            componentsById,
+            refsById,
+            edges
+        });
+    }
+    
+    buildNormalizedSbom({ format, specVersion, mainId, componentsById, refsById, edges }) {
+        // Group edges by source, keeping only relationships between known packages
+        const dependsOnByRef = new Map();
+        edges.forEach(([fromId, toId]) => {
+            if (!refsById.has(fromId) || !refsById.has(toId) || fromId === toId) return;
+            const fromRef = refsById.get(fromId);
+            const toRef = refsById.get(toId);
+            if (!dependsOnByRef.has(fromRef)) {
+                dependsOnByRef.set(fromRef, []);
+            }
+            if (!dependsOnByRef.get(fromRef).includes(toRef)) {
+                dependsOnByRef.get(fromRef).push(toRef);
+            }
+        });
+        
+        const mainComponent = componentsById.get(mainId);
+        const components = [];
+        componentsById.forEach((component, id) => {
+            if (id !== mainId) components.push(component);
+        });
+        
+        const dependencies = [];
+        dependsOnByRef.forEach((dependsOn, ref) => dependencies.push({ ref, dependsOn }));
+        
+        return {
+            bomFormat: format,
+            specVersion,
+            metadata: { component: mainComponent },
+            components,
+            dependencies
+        };
+    }
+    
+    getSpdxComponentType(purpose) {
+        const type = String(purpose || '').toLowerCase().replace(/_/g, '-');
+        const knownTypes = ['application', 'framework', 'library', 'container', 'operating-system',
+                            'device', 'firmware', 'file'];
+        return knownTypes.includes(type) ? type : 'library';
+    }
+    
+    getSpdxHashAlgorithm(algorithm) {
+        // SPDX writes SHA256 (2.3) or sha256 (3.0); CycloneDX expects SHA-256
+        const normalized = String(algorithm || '').toUpperCase();
+        const match = normalized.match(/^SHA(1|256|384|512)$/);
+        return match ? `SHA-${match[1]}` : normalized;
+    }
+    
+    parseSpdxActor(actor) {
+        if (!actor || actor === 'NOASSERTION') return null;
+        // "Organization: Example Inc. (contact@example.com)" -> "Example Inc."
+        return actor.replace(/^(Organization|Person|Tool):\s*/, '').replace(/\s*\([^)]*\)\s*$/, '') || null;
+    }
+    
+    getComponentRef(component) {
+        return component.purl || component['bom-ref'] || component.name;
+    }
+    
+    validateSbomForNonForceMode(sbom) {
+        // If there are no existing nodes, any SBOM is valid
+        if (this.dependencyGraph.size === 0) {
+            return { valid: true, conflicts: [] };
+        }
+        
+        // Collect every node whose existing dependencies the SBOM would modify
+        const conflicts = [];
+        for (const dep of this.getSbomDependencies(sbom)) {
+            const nodeRef = dep.ref;
+            
+            // If the node already exists in the dependency graph
+            if (this.dependencyGraph.has(nodeRef)) {
+                const existingDeps = this.dependencyGraph.get(nodeRef);
+                const newDeps = dep.dependsOn;
+                
+                // Check if any existing dependencies would be modified
+                // This happens if:
+                // 1. The new dependencies are different from the existing ones
+                // 2. The new dependencies would replace existing ones
+                
+                if (this.wouldModifyDependencies(existingDeps, newDeps)) {
+                    const change = this.classifyDependencyChange(existingDeps, newDeps);
+                    let detail;
+                    if (change.kind === 'version-bump') {
+                        detail = `would change versions for node "${nodeRef}" (${change.versionBumps
+                            .map(bump => `${bump.packageKey} ${bump.fromVersion} → ${bump.toVersion}`).join(', ')})`;
+                    } else if (change.kind === 'new-dependency') {
+                        detail = `would add new dependencies to node "${nodeRef}" (${change.added.join(', ')})`;
+                    } else {
+                        detail = `would remove dependencies from node "${nodeRef}" (${change.removed.join(', ')})`;
+                    }
+                    
+                    conflicts.push({
+                        node: nodeRef,
+                        existing: [...existingDeps],
+                        incoming: [...newDeps],
+                        ...change,
+                        detail
+                    });
+                }
+            }
+        }
+        
+        // Nodes with a merge decision (chosen in the conflict report) are no longer conflicts
+        const decisions = this.getApplicableMergeDecisions(sbom);
+        const unresolved = conflicts.filter(conflict => !decisions[conflict.node]);
+        if (unresolved.length === 0) {
+            // If we get here, the SBOM is valid for non-force mode
+            return { valid: true, conflicts };
+        }
+        
+        const more = unresolved.length > 1 ? ` (and ${unresolved.length - 1} more conflicting node${unresolved.length === 2 ? '' : 's'})` : '';
+        return {
+            valid: false,
+            conflicts,
+            conflictType: unresolved[0].kind,
+            message: `Cannot upload without Force Mode: This SBOM ${unresolved[0].detail}${more}. Enable Force Mode to allow this modification.`
+        };
+    }
+    
+    wouldModifyDependencies(existingDeps, newDeps) {
+        // Check if the new dependencies are a subset of the existing ones
+        return newDeps.some(newDep => !existingDeps.includes(newDep)) || existingDeps.length !== newDeps.length;
+    }
+    
+    getApplicableMergeDecisions(sbom) {
+        // Merge decisions only apply to nodes that still conflict with the current graph; a decision made for
+        // another position of the upload (before a remove or reorder) must not drop the dependencies of a new node
+        const decisions = {};
+        if (!sbom.mergeDecisions) return decisions;
+        
+        this.getSbomDependencies(sbom).forEach(dep => {
+            const decision = sbom.mergeDecisions[dep.ref];
+            if (decision && this.dependencyGraph.has(dep.ref) &&
+                this.wouldModifyDependencies(this.dependencyGraph.get(dep.ref), dep.dependsOn)) {
+                decisions[dep.ref] = decision;
+            }
+        });
+        return decisions;
+    }
+    
+    previewDependencyGraph(sbom) {
+        // Merge the SBOM into a copy of the graph, leaving the real state untouched
+        const saved = {
+            dependencyGraph: this.dependencyGraph,
+            componentRegistry: this.componentRegistry,
+            versionChanges: this.versionChanges,
+            provenance: this.provenance
+        };
+        this.dependencyGraph = new Map(Array.from(saved.dependencyGraph, ([node, deps]) => [node, [...deps]]));
+        this.componentRegistry = new Map();
+        this.versionChanges = new Map(saved.versionChanges);
+        this.provenance = this.cloneProvenance(saved.provenance);
+        
+        try {
+            this.updateDependencyGraph(sbom);
+            return this.dependencyGraph;
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+    
+    findDependencyCycles(graph) {
+        // Tarjan's strongly connected components, iterative so deep graphs cannot overflow the stack
+        const indices = new Map();
+        const lowLinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const cycles = [];
+        let nextIndex = 0;
+        
+        const visit = (node) => {
+            indices.set(node, nextIndex);
+            lowLinks.set(node, nextIndex);
+            nextIndex++;
+            stack.push(node);
+            onStack.add(node);
+        };
+        
+        graph.forEach((_, root) => {
+            if (indices.has(root)) return;
+            
+            visit(root);
+            const work = [{ node: root, next: 0 }];
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const deps = graph.get(frame.node) || [];
+                
+                if (frame.next < deps.length) {
+                    const dep = deps[frame.next++];
+                    if (!indices.has(dep)) {
+                        visit(dep);
+                        work.push({ node: dep, next: 0 });
+                    } else if (onStack.has(dep)) {
+                        lowLinks.set(frame.node, Math.min(lowLinks.get(frame.node), indices.get(dep)));
+                    }
+                    continue;
+                }
+                
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1].node;
+                    lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.node)));
+                }
+                
+                // A node that is its own low link closes a strongly connected component
+                if (lowLinks.get(frame.node) === indices.get(frame.node)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== frame.node);
+                    
+                    // Components of one node are only cycles when the node depends on itself
+                    if (component.length > 1 || deps.includes(frame.node)) {
+                        cycles.push(component.reverse());
+                    }
+                }
+            }
+        });
+        
+        return cycles;
+    }
+    
+    getCyclePath(graph, component) {
+        // Shortest way around the component, starting and ending at its first node
+        const start = component[0];
+        const members = new Set(component);
+        const previous = new Map();
+        const queue = [start];
+        
+        while (queue.length > 0) {
+            const node = queue.shift();
+            for (const dep of graph.get(node) || []) {
+                if (!members.has(dep)) continue;
+                if (dep === start) {
+                    const path = [start];
+                    for (let step = node; step !== start; step = previous.get(step)) {
+                        path.splice(1, 0, step);
+                    }
+                    return [...path, start];
+                }
+                if (!previous.has(dep)) {
+                    previous.set(dep, node);
+                    queue.push(dep);
+                }
+            }
+        }
+        
+        return [...component, start];
+    }
+    
+    findNewCycles(sbom) {
+        // Cycles in the merged graph that do not already exist with the same members
+        const existing = new Set(this.findDependencyCycles(this.dependencyGraph).map(cycle => [...cycle].sort().join('\u0000')));
+        const merged = this.previewDependencyGraph(sbom);
+        
+        return this.findDependencyCycles(merged)
+            .filter(cycle => !existing.has([...cycle].sort().join('\u0000')))
+            .map(cycle => this.getCyclePath(merged, cycle));
+    }
+    
+    checkSbomIntegrity(sbom) {
+        // Problems within one SBOM document: refs without a declared component, declared components that no
+        // dependency uses, and bom-refs that do not fit the purls of their components
+        const issues = [];
+        const declared = [
+            { component: sbom.metadata.component, path: '$.metadata.component' },
+            ...sbom.components.map((component, index) => ({ component, path: `$.components[${index}]` }))
+        ];
+        const byBomRef = new Map();
+        const byPurl = new Map();
+        const identities = new Set();
+        declared.forEach(entry => {
+            const { component, path } = entry;
+            identities.add(this.getComponentRef(component));
+            if (component.purl) byPurl.set(component.purl, entry);
+            if (!component['bom-ref']) return;
+            
+            const bomRef = component['bom-ref'];
+            if (byBomRef.has(bomRef)) {
+                issues.push({ kind: 'mismatch', node: this.getComponentRef(component), path: `${path}['bom-ref']`,
+                    message: `bom-ref "${bomRef}" is also used by ${byBomRef.get(bomRef)[0].path}` });
+                byBomRef.get(bomRef).push(entry);
+            } else {
+                byBomRef.set(bomRef, [entry]);
+            }
+            if (bomRef.startsWith('pkg:') && component.purl && bomRef !== component.purl) {
+                issues.push({ kind: 'mismatch', node: this.getComponentRef(component), path: `${path}['bom-ref']`,
+                    message: `bom-ref "${bomRef}" is a purl, but the component's purl is "${component.purl}"` });
+            }
+        });
+        
+        // Components listed without a dependencies section are linked to the main component, so nothing dangles
+        if (sbom.dependencies.length === 0) {
+            return issues;
+        }
+        
+        const referenced = new Set();
+        const checkRef = (ref, path) => {
+            if (byBomRef.has(ref)) {
+                byBomRef.get(ref).forEach(entry => referenced.add(this.getComponentRef(entry.component)));
+                return;
+            }
+            const byPurlEntry = byPurl.get(ref);
+            if (byPurlEntry && byPurlEntry.component['bom-ref']) {
+                issues.push({ kind: 'mismatch', node: ref, path,
+                    message: `refers to the purl of ${byPurlEntry.path} instead of its bom-ref "${byPurlEntry.component['bom-ref']}"` });
+            } else if (!identities.has(ref)) {
+                issues.push({ kind: 'dangling', node: ref, path, message: `refers to "${ref}", which is not declared in this SBOM` });
+            }
+            referenced.add(ref);
+        };
+        sbom.dependencies.forEach((dep, index) => {
+            checkRef(dep.ref, `$.dependencies[${index}].ref`);
+            dep.dependsOn.forEach((ref, refIndex) => checkRef(ref, `$.dependencies[${index}].dependsOn[${refIndex}]`));
+        });
+        
+        declared.slice(1).forEach(({ component, path }) => {
+            const identity = this.getComponentRef(component);
+            if (!referenced.has(identity)) {
+                issues.push({ kind: 'orphan', node: identity, path, message: `"${identity}" is declared but no dependency refers to it` });
+            }
+        });
+        
+        return issues;
+    }
+    
+    checkGraphIntegrity() {
+        // Problems of the merged graph on screen, by node: nodes no uploaded SBOM declares, declared components
+        // nothing depends on, and the bom-ref/purl mismatches of the SBOMs it was built from
+        const issues = new Map();
+        const addIssue = (node, kind, message) => {
+            if (!issues.has(node)) issues.set(node, []);
+            issues.get(node).push({ kind, message });
+        };
+        
+        const sboms = this.getDisplayedSboms();
+        const mainComponents = this.getMainComponents(sboms);
+        const dependedOn = new Set();
+        this.dependencyGraph.forEach(deps => deps.forEach(dep => dependedOn.add(dep)));
+        
+        this.getGraphNodes().forEach(node => {
+            if (!this.componentRegistry.has(node)) {
+                addIssue(node, 'dangling', 'Referenced by a dependency, but no uploaded SBOM declares this component');
+            }
+        });
+        this.componentRegistry.forEach((entry, identity) => {
+            if (!dependedOn.has(identity) && !mainComponents.has(identity)) {
+                addIssue(identity, 'orphan', 'Declared, but nothing depends on this component');
+            }
+        });
+        sboms.forEach((sbom, index) => {
+            this.checkSbomIntegrity(sbom).filter(issue => issue.kind === 'mismatch').forEach(issue => {
+                addIssue(issue.node, 'mismatch', `Stage ${index + 1}: ${issue.path} ${issue.message}`);
+            });
+        });
+        
+        return issues;
+    }
+    
+    // This method is no longer needed as we've replaced the force mode checkbox with a popup
+    // Keeping an empty implementation for backward compatibility
+    updateForceModeUI(isEnabled) {
+        // No longer used
+    }
+
+    nextStage() {
+        // Check if data is loaded and there are more stages (after the viewed state, which the upload branches from)
+        const completedStage = this.viewingHistory
+            ? this.getCompletedStage(this.uploadedSboms.slice(0, this.historyStates[this.historyPosition].sbomCount))
+            : this.currentStage;
+        if (this.sbomData.length > 0 && completedStage < this.sbomData.length - 1) {
+            this.exitDiffViews();
+            this.branchFromViewedHistory();
+            this.currentStage = completedStage + 1;
+            const sbom = this.sbomData[this.currentStage];
+            
+            // Note: Force mode is now handled in the custom upload popup
+            // The predefined sequence uses the forceMode flag set during loading
+            
+            this.uploadedSboms.push(sbom);
+            this.updateDependencyGraph(sbom);
+            
+            // Save the current state to history
+            this.saveHistoryState();
+            
+            this.updateDisplay();
+            this.animateGraphUpdate();
+            this.updateStageIndicator();
+            this.updateProgress();
+            
+            // Show notification if this is the first SBOM added
+            if (this.uploadedSboms.length === 1) {
+                this.showSbomAddedNotification(sbom);
+            }
+        } else if (this.sbomData.length === 0) {
+            console.warn('Cannot proceed to next stage: SBOM data not loaded yet');
+        }
+    }
+    
+    showSbomAddedNotification(sbom) {
+        this.showNotification('SBOM Added', `Added SBOM: ${this.getComponentRef(sbom.metadata.component)}`);
+    }
+    
+    showNotification(title, message) {
+        // Create notification element if it doesn't exist
+        let notification = document.getElementById('sbomAddedNotification');
+        if (!notification) {
+            notification = document.createElement('div');
+            notification.id = 'sbomAddedNotification';
+            notification.className = 'sbom-notification';
+            document.body.appendChild(notification);
+        }
+        
+        // Set notification content
+        notification.innerHTML = `
+            <div class="notification-content">
+                <div class="notification-title">${title}</div>
+                <div class="notification-message">${message}</div>
+            </div>
+            <button class="notification-close">&times;</button>
+        `;
+        
+        // Add close button functionality
+        const closeButton = notification.querySelector('.notification-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => {
+                notification.classList.remove('active');
+            });
+        }
+        
+        // Show notification
+        notification.classList.add('active');
+        
+        // Auto-hide after 5 seconds
+        setTimeout(() => {
+            notification.classList.remove('active');
+        }, 5000);
+    }
+
+    updateDependencyGraph(sbom) {
+        // Check if this is a force mode SBOM
+        const isForceMode = sbom.forceMode === true;
+        
+        // Record the components of this SBOM before wiring up the graph
+        const sbomIndex = this.uploadedSboms.lastIndexOf(sbom);
+        this.registerSbomComponents(sbom, sbomIndex);
+        const previousNodes = this.getGraphNodes();
+        const previousEdges = this.getGraphEdgeKeys();
+        
+        // Check if there are components but no dependencies section or empty dependencies array
+        if (sbom.components && sbom.components.length > 0 && (!sbom.dependencies || sbom.dependencies.length === 0)) {
+            console.log('SBOM has components but no dependencies. Linking all components to the main component.');
+            
+            // Get the main component from metadata
+            const mainComponent = this.getComponentRef(sbom.metadata.component);
+            
+            if (mainComponent) {
+                // Make sure the main component exists in the dependency graph
+                if (!this.dependencyGraph.has(mainComponent)) {
+                    this.dependencyGraph.set(mainComponent, []);
+                }
+                
+                // Link all components to the main component
+                sbom.components.forEach(component => {
+                    const componentRef = this.getComponentRef(component);
+                    
+                    // Skip if the component is the same as the main component
+                    if (componentRef && componentRef !== mainComponent) {
+                        // Add the component to the main component's dependencies
+                        if (!this.dependencyGraph.get(mainComponent).includes(componentRef)) {
+                            this.dependencyGraph.get(mainComponent).push(componentRef);
+                        }
+                        
+                        // Make sure the component exists in the dependency graph
+                        if (!this.dependencyGraph.has(componentRef)) {
+                            this.dependencyGraph.set(componentRef, []);
+                        }
+                    }
+                });
+            }
+        } else {
+            // Per-node decisions from the conflict report: accept replaces, merge adds, reject keeps the node as it is
+            const decisions = isForceMode ? {} : this.getApplicableMergeDecisions(sbom);
+            
+            // Process dependencies from the new SBOM
+            this.getSbomDependencies(sbom).forEach(dep => {
+                if (!this.dependencyGraph.has(dep.ref)) {
+                    // Node doesn't exist yet, create it
+                    this.dependencyGraph.set(dep.ref, []);
+                }
+                
+                const decision = decisions[dep.ref];
+                if (decision === 'reject') {
+                    console.log(`Merge decision: Keeping existing dependencies for ${dep.ref}`);
+                } else if (isForceMode || decision === 'accept') {
+                    // In force mode, replace existing dependencies for this node
+                    console.log(`Force mode: Replacing dependencies for ${dep.ref}`);
+                    // Store the new dependencies
+                    this.dependencyGraph.set(dep.ref, [...dep.dependsOn]);
+                } else {
+                    // Regular mode: add new dependencies without replacing existing ones
+                    dep.dependsOn.forEach(dependency => {
+                        if (!this.dependencyGraph.get(dep.ref).includes(dependency)) {
+                            this.dependencyGraph.get(dep.ref).push(dependency);
+                        }
+                    });
+                }
+            });
+        }
+        
+        // Record packages whose version changed with this upload
+        this.detectVersionChanges(previousNodes, sbomIndex);
+        
+        // Record which upload added the new nodes and edges, and which removed edges
+        this.recordProvenance(sbom, sbomIndex, previousNodes, previousEdges);
+        
+        // Log the updated dependency graph
+        console.log('Updated dependency graph:', this.dependencyGraph);
+    }
+
+    getSbomDependencies(sbom) {
+        // Dependencies point at bom-refs, while graph nodes use each component's identity
+        const refIndex = new Map();
+        [sbom.metadata.component, ...(sbom.components || [])].forEach(component => {
+            if (component && component['bom-ref']) {
+                refIndex.set(component['bom-ref'], this.getComponentRef(component));
+            }
+        });
+        
+        const resolve = ref => refIndex.get(ref) || ref;
+        return (sbom.dependencies || []).map(dep => ({
+            ref: resolve(dep.ref),
+            dependsOn: (dep.dependsOn || []).map(resolve)
+        }));
+    }
+    
+    registerSbomComponents(sbom, sbomIndex) {
+        const mainRef = this.getComponentRef(sbom.metadata.component);
+        
+        [sbom.metadata.component, ...(sbom.components || [])].forEach(component => {
+            const identity = this.getComponentRef(component);
+            if (!identity) return;
+            
+            if (!this.componentRegistry.has(identity)) {
+                this.componentRegistry.set(identity, { identity, attributes: {}, sources: [] });
+            }
+            const entry = this.componentRegistry.get(identity);
+            
+            // Keep the original component as seen in this SBOM (nested components are registered separately)
+            const { components, ...attributes } = JSON.parse(JSON.stringify(component));
+            entry.sources.push({ sbomIndex, sbom: mainRef, component: attributes });
+            
+            // Merge attributes so the latest upload wins, without erasing values it does not mention
+            Object.entries(attributes).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    entry.attributes[key] = value;
+                }
+            });
+        });
+    }
+    
+    cloneComponentRegistry(registry) {
+        const copy = new Map();
+        (registry || new Map()).forEach((entry, identity) => {
+            copy.set(identity, JSON.parse(JSON.stringify(entry)));
+        });
+        return copy;
+    }
+    
+    createEmptyProvenance() {
+        // nodes: node -> { sbomIndex, sbom } of the upload that added it
+        // edges: edge key -> { from, to, addedBy, removedBy }, kept after the edge is removed
+        return { nodes: new Map(), edges: new Map() };
+    }
+    
+    cloneProvenance(provenance) {
+        const copy = this.createEmptyProvenance();
+        if (!provenance) return copy;
+        
+        provenance.nodes.forEach((source, node) => copy.nodes.set(node, { ...source }));
+        provenance.edges.forEach((record, key) => copy.edges.set(key, {
+            ...record,
+            addedBy: record.addedBy && { ...record.addedBy },
+            removedBy: record.removedBy && { ...record.removedBy }
+        }));
+        return copy;
+    }
+    
+    getComponentAttributeList(attributes) {
+        const list = [];
+        if (attributes.version) list.push(['Version', attributes.version]);
+        if (attributes.type) list.push(['Type', attributes.type]);
+        if (attributes.group) list.push(['Group', attributes.group]);
+        if (attributes.supplier && attributes.supplier.name) list.push(['Supplier', attributes.supplier.name]);
+        if (attributes.licenses && attributes.licenses.length > 0) {
+            list.push(['Licenses', attributes.licenses.map(entry => {
+                if (entry.expression) return entry.expression;
+                const license = entry.license || {};
+                return license.id || license.name || 'unknown';
+            }).join(', ')]);
+        }
+        if (attributes.hashes && attributes.hashes.length > 0) {
+            list.push(['Hashes', attributes.hashes.map(hash => {
+                const content = String(hash.content);
+                return `${hash.alg}: ${content.length > 12 ? `${content.slice(0, 12)}…` : content}`;
+            }).join(', ')]);
+        }
+        if (attributes.description) list.push(['Description', attributes.description]);
+        return list;
+    }
+    
+    renderComponentDetails(components) {
+        const rows = components.map(component => {
+            const attributes = this.getComponentAttributeList(component)
+                .map(([label, value]) => `<span class="component-attribute"><span class="component-attribute-label">${label}:</span> ${this.escapeHtml(value)}</span>`)
+                .join('');
+            return `
+                <div class="component-details-item">
+                    <div class="component-details-name">${this.escapeHtml(component.name || this.getComponentRef(component))}</div>
+                    ${attributes ? `<div class="component-attributes">${attributes}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        return rows ? `<div class="component-details">${rows}</div>` : '';
+    }
+    
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    getGraphNodes() {
+        const nodes = new Set();
+        this.dependencyGraph.forEach((deps, node) => {
+            nodes.add(node);
+            deps.forEach(dep => nodes.add(dep));
+        });
+        return nodes;
+    }
+    
+    getGraphEdgeKeys() {
+        const keys = new Set();
+        this.dependencyGraph.forEach((deps, node) => deps.forEach(dep => keys.add(this.getEdgeKey(node, dep))));
+        return keys;
+    }
+    
+    parsePurl(purl) {
+        // pkg:type/namespace/name@version?qualifiers#subpath
+        const match = typeof purl === 'string' && purl.match(/^pkg:\/*([^/]+)\/([^?#]+?)(?:\?([^#]*))?(?:#(.*))?$/i);
+        if (!match) return null;
+        
+        const decode = value => {
+            try {
+                return decodeURIComponent(value);
+            } catch (error) {
+                return value;
+            }
+        };
+        
+        let path = match[2].replace(/\/+$/, '');
+        let version = null;
+        const versionIndex = path.lastIndexOf('@');
+        if (versionIndex > path.lastIndexOf('/')) {
+            version = decode(path.slice(versionIndex + 1));
+            path = path.slice(0, versionIndex);
+        }
+        
+        const segments = path.split('/').filter(segment => segment.length > 0).map(decode);
+        const name = segments.pop();
+        if (!name) return null;
+        
+        const qualifiers = {};
+        (match[3] || '').split('&').filter(Boolean).forEach(pair => {
+            const [key, ...value] = pair.split('=');
+            qualifiers[key.toLowerCase()] = decode(value.join('='));
+        });
+        
+        return {
+            type: match[1].toLowerCase(),
+            namespace: segments.length > 0 ? segments.join('/') : null,
+            name,
+            version,
+            qualifiers,
+            subpath: match[4] ? decode(match[4]) : null
+        };
+    }
+    
+    getPackageKey(node) {
+        const purl = this.parsePurl(node);
+        if (purl) {
+            return `pkg:${purl.type}/${purl.namespace ? `${purl.namespace}/` : ''}${purl.name}`;
+        }
+        
+        // Components without a purl are grouped by name when the registry knows their version
+        const entry = this.componentRegistry.get(node);
+        if (entry && entry.attributes.name && entry.attributes.version) {
+            return entry.attributes.group ? `${entry.attributes.group}/${entry.attributes.name}` : entry.attributes.name;
+        }
+        return node;
+    }
+    
+    getNodeVersion(node) {
+        const purl = this.parsePurl(node);
+        if (purl && purl.version) return purl.version;
+        
+        const entry = this.componentRegistry.get(node);
+        return entry && entry.attributes.version ? entry.attributes.version : null;
+    }
+    
+    compareVersions(a, b) {
+        // A Debian/RPM epoch ("1:2.0") outranks the rest of the version; without one the epoch is 0
+        const [, epochA = '0', versionA] = String(a).match(/^(?:(\d+):)?(.*)$/);
+        const [, epochB = '0', versionB] = String(b).match(/^(?:(\d+):)?(.*)$/);
+        if (parseInt(epochA, 10) !== parseInt(epochB, 10)) {
+            return parseInt(epochA, 10) > parseInt(epochB, 10) ? 1 : -1;
+        }
+        
+        // Numeric parts compare as numbers, everything else lexically ("1.10.0" > "1.9.2", "2.0.0-rc1" < "2.0.0")
+        const partsA = versionA.replace(/^v/i, '').split(/[.\-+_]/);
+        const partsB = versionB.replace(/^v/i, '').split(/[.\-+_]/);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            // A missing numeric part counts as 0 ("1.0" == "1.0.0"); a missing pre-release part sorts later
+            let partA = partsA[i];
+            let partB = partsB[i];
+            if (partA === undefined) {
+                if (!/^\d+$/.test(partB)) return 1;
+                partA = '0';
+            }
+            if (partB === undefined) {
+                if (!/^\d+$/.test(partA)) return -1;
+                partB = '0';
+            }
+            
+            const numericA = /^\d+$/.test(partA);
+            const numericB = /^\d+$/.test(partB);
+            if (numericA && numericB) {
+                const diff = parseInt(partA, 10) - parseInt(partB, 10);
+                if (diff !== 0) return diff > 0 ? 1 : -1;
+            } else if (partA !== partB) {
+                if (numericA !== numericB) return numericA ? 1 : -1;
+                return partA < partB ? -1 : 1;
+            }
+        }
+        return 0;
+    }
+    
+    getVersionChange(fromNode, toNode) {
+        const fromVersion = this.getNodeVersion(fromNode);
+        const toVersion = this.getNodeVersion(toNode);
+        if (!fromVersion || !toVersion || fromNode === toNode ||
+            this.getPackageKey(fromNode) !== this.getPackageKey(toNode)) {
+            return null;
+        }
+        
+        const comparison = this.compareVersions(toVersion, fromVersion);
+        return {
+            packageKey: this.getPackageKey(toNode),
+            from: fromNode,
+            to: toNode,
+            fromVersion,
+            toVersion,
+            direction: comparison > 0 ? 'upgrade' : comparison < 0 ? 'downgrade' : 'rebuild'
+        };
+    }
+    
+    classifyDependencyChange(existingDeps, newDeps) {
+        const added = newDeps.filter(dep => !existingDeps.includes(dep));
+        const removed = existingDeps.filter(dep => !newDeps.includes(dep));
+        
+        // An added dependency is a version bump when it replaces another version of the same package
+        const versionBumps = [];
+        const unmatched = added.filter(dep => {
+            const bump = existingDeps
+                .map(existing => this.getVersionChange(existing, dep))
+                .find(change => change !== null);
+            if (bump) versionBumps.push(bump);
+            return !bump;
+        });
+        
+        let kind;
+        if (unmatched.length > 0) {
+            kind = 'new-dependency';
+        } else if (versionBumps.length > 0) {
+            kind = 'version-bump';
+        } else {
+            kind = 'removed-dependency';
+        }
+        
+        return { kind, added, removed, versionBumps };
+    }
+    
+    detectVersionChanges(previousNodes, sbomIndex) {
+        const currentNodes = this.getGraphNodes();
+        const previousByPackage = new Map();
+        previousNodes.forEach(node => {
+            if (!this.getNodeVersion(node)) return;
+            const packageKey = this.getPackageKey(node);
+            if (!previousByPackage.has(packageKey)) {
+                previousByPackage.set(packageKey, []);
+            }
+            previousByPackage.get(packageKey).push(node);
+        });
+        
+        currentNodes.forEach(node => {
+            if (previousNodes.has(node) || !this.getNodeVersion(node)) return;
+            
+            // Prefer the version that this upload pushed out of the graph, if there is one
+            const candidates = previousByPackage.get(this.getPackageKey(node)) || [];
+            const replaced = candidates.find(candidate => !currentNodes.has(candidate)) || candidates[0];
+            const change = replaced ? this.getVersionChange(replaced, node) : null;
+            if (change) {
+                this.versionChanges.set(node, { ...change, sbomIndex });
+                console.log(`Version ${change.direction}: ${change.packageKey} ${change.fromVersion} → ${change.toVersion}`);
+            }
+        });
+    }
+    
+    recordProvenance(sbom, sbomIndex, previousNodes, previousEdges) {
+        const source = { sbomIndex, sbom: this.getComponentRef(sbom.metadata.component) };
+        
+        this.getGraphNodes().forEach(node => {
+            if (!previousNodes.has(node)) {
+                this.provenance.nodes.set(node, { ...source });
+            }
+        });
+        
+        // A new edge (or one that comes back after being removed) belongs to this upload
+        const currentEdges = this.getGraphEdgeKeys();
+        this.dependencyGraph.forEach((deps, node) => {
+            deps.forEach(dep => {
+                const key = this.getEdgeKey(node, dep);
+                if (!previousEdges.has(key)) {
+                    this.provenance.edges.set(key, { from: node, to: dep, addedBy: { ...source }, removedBy: null });
+                }
+            });
+        });
+        
+        // Edges that disappeared were dropped by this upload (Force Mode replacing a dependency list)
+        previousEdges.forEach(key => {
+            if (currentEdges.has(key)) return;
+            const record = this.provenance.edges.get(key);
+            if (record) {
+                record.removedBy = { ...source };
+            } else {
+                const [from, to] = key.split('\u0000');
+                this.provenance.edges.set(key, { from, to, addedBy: null, removedBy: { ...source } });
+            }
+        });
+    }
+    
+    describeProvenanceSource(source) {
+        return source ? `Stage ${source.sbomIndex + 1} (${source.sbom})` : 'unknown upload';
+    }
+    
+    updateDisplay() {
+        this.updateCurrentSbom();
+        this.updateNextSbom();
+        this.updateUploadedList();
+        this.renderGraph();
+    }
+
+    updateCurrentSbom() {
+        const currentSbom = document.getElementById('currentSbom');
+
+        // If no data is loaded yet
+        if (this.sbomData.length === 0) {
+            currentSbom.innerHTML = `
+            <div class="sbom-title">Loading SBOM data...</div>
+            <div class="sbom-metadata">Please wait</div>
+            <div class="component-list"></div>
+        `;
+            return;
+        }
+
+        if (this.currentStage >= 0) {
+            const sbom = this.sbomData[this.currentStage];
+            const components = sbom.components.map(c => c.purl);
+
+            const dependencyVisualization = sbom.dependencies
+                .map(dep => {
+                    // Determine the appropriate tag class
+                    const componentTagClass = this.getComponentTagClass(dep.ref);
+
+                    return `
+                    <div class="dependency-item">
+                        <span class="${componentTagClass}">${dep.ref}</span>
+                        <span class="dependency-arrow">→</span>
+                        <div class="dependency-list">
+                            ${dep.dependsOn.map(d => {
+                        // Determine the appropriate tag class for each dependency
+                        const dependencyTagClass = this.getComponentTagClass(d);
+                        return `<span class="${dependencyTagClass}">${d}</span>`;
+                    }).join('')}
+                        </div>
+                    </div>
+                `;
+                }).join('');
+
+            currentSbom.innerHTML = `
+            <div class="sbom-title">${this.getComponentRef(sbom.metadata.component)}</div>
+            <div class="sbom-metadata">${sbom.bomFormat} v${sbom.specVersion}</div>
+            <div class="component-list">
+                ${dependencyVisualization ? `<div class="dependency-visualization">${dependencyVisualization}</div>` : ''}
+            </div>
+        `;
+        } else {
+            currentSbom.innerHTML = `
+            <div class="sbom-title">No SBOM uploaded yet</div>
+            <div class="sbom-metadata">Click "Start Upload Process" to begin</div>
+            <div class="component-list"></div>
+        `;
+        }
+    }
+
+
+    updateNextSbom() {
+        const nextSbom = document.getElementById('nextSbom');
+        const nextButton = document.getElementById('nextButton');
+
+        // If no data is loaded yet
+        if (this.sbomData.length === 0) {
+            nextSbom.innerHTML = `
+            <div class="sbom-title">Loading SBOM data...</div>
+            <div class="sbom-metadata">Please wait</div>
+            <div class="component-list"></div>
+        `;
+
+            nextButton.textContent = 'Loading...';
+            nextButton.disabled = true;
+            return;
+        }
+
+        if (this.currentStage < this.sbomData.length - 1) {
+            const sbom = this.sbomData[this.currentStage + 1];
+            const components = sbom.components.map(c => c.purl);
+
+            const dependencyVisualization = sbom.dependencies
+                .map(dep => {
+                    // Pass the current SBOM context for proper classification
+                    const componentTagClass = this.getComponentTagClass(dep.ref, sbom);
+
+                    return `
+                    <div class="dependency-item">
+                        <span class="${componentTagClass}">${dep.ref}</span>
+                        <span class="dependency-arrow">→</span>
+                        <div class="dependency-list">
+                            ${dep.dependsOn.map(d => {
+                        // Pass the current SBOM context for proper classification
+                        const dependencyTagClass = this.getComponentTagClass(d, sbom);
+                        return `<span class="${dependencyTagClass}">${d}</span>`;
+                    }).join('')}
+                        </div>
+                    </div>
+                `;
+                }).join('');
+
+            // Check if this is a file that could be loaded with force mode
+            const isForceCandidate = sbom.forceMode === true;
+
+            nextSbom.innerHTML = `
+            <div class="sbom-title">${this.getComponentRef(sbom.metadata.component)}${isForceCandidate ? ' <span class="force-candidate">(Force candidate)</span>' : ''}</div>
+            <div class="sbom-metadata">${sbom.bomFormat} v${sbom.specVersion}</div>
+            <div class="component-list">
+                ${dependencyVisualization ? `<div class="dependency-visualization">${dependencyVisualization}</div>` : ''}
+            </div>
+        `;
+
+            nextButton.textContent = this.currentStage === -1 ? 'Start Upload Process' : 'Upload Next SBOM';
+            nextButton.disabled = false;
+        } else {
+            nextSbom.innerHTML = `
+            <div class="sbom-title">All SBOMs uploaded</div>
+            <div class="sbom-metadata">Upload process complete</div>
+            <div class="component-list"></div>
+        `;
+
+            nextButton.textContent = 'Upload Complete';
+            nextButton.disabled = true;
+        }
+    }
+
+    updateUploadedList() {
+        const uploadedList = document.getElementById('uploadedList');
+
+        uploadedList.innerHTML = this.uploadedSboms.map((sbom, index) => {
+            const components = sbom.components.map(c => c.purl);
+            const dependencyVisualization = sbom.dependencies
+                .map(dep => {
+                    // Determine the appropriate tag class
+                    const componentTagClass = this.getComponentTagClass(dep.ref);
+
+                    return `
+                    <div class="dependency-item">
+                        <span class="${componentTagClass}" style="font-size: 10px; padding: 1px 4px;">${dep.ref}</span>
+                        <span class="dependency-arrow" style="font-size: 10px;">→</span>
+                        <div class="dependency-list">
+                            ${dep.dependsOn.map(d => {
+                        // Determine the appropriate tag class for each dependency
+                        const dependencyTagClass = this.getComponentTagClass(d);
+                        return `<span class="${dependencyTagClass}" style="font-size: 9px; padding: 1px 3px;">${d}</span>`;
                     }).join('')}
                         </div>
                     </div>
                 `;
                 }).join('');
 
-            // Check if this is a file that could be loaded with force mode
-            const isForceCandidate = sbom.forceMode === true;
+            // Check if this SBOM was uploaded with force mode
+            const forceModeIndicator = sbom.forceMode ?
+                `<span class="force-mode-indicator" style="background-color: #ff5722; color: white; font-size: 9px; padding: 1px 4px; border-radius: 3px; margin-left: 5px;">FORCE</span>` : '';
+            
+            // Uploads loaded with lenient validation
+            const warnings = sbom.validationWarnings || [];
+            const warningIndicator = warnings.length > 0 ?
+                `<span class="validation-warning-indicator" title="${this.escapeHtml(warnings.slice(0, 20).map(issue => `${issue.path} ${issue.message}`).join('\n'))}">${warnings.length} WARNING${warnings.length === 1 ? '' : 'S'}</span>` : '';
+            
+            // Uploads merged with per-node decisions from the conflict report
+            const decisions = Object.entries(sbom.mergeDecisions || {});
+            const mergeDecisionIndicator = decisions.length > 0 ?
+                `<span class="merge-decision-indicator" title="${this.escapeHtml(decisions.map(([node, decision]) => `${node}: ${decision}`).join('\n'))}">${decisions.length} DECISION${decisions.length === 1 ? '' : 'S'}</span>` : '';
+
+            return `
+            <div class="uploaded-item${sbom.forceMode ? ' force-mode' : ''}${this.highlightedSboms.has(index) ? ' active' : ''}" data-index="${index}" draggable="true">
+                <div style="font-weight: 600; margin-bottom: 5px;">
+                    Stage ${index + 1}: ${this.getComponentRef(sbom.metadata.component)} ${forceModeIndicator}${mergeDecisionIndicator}${warningIndicator}
+                    <button class="remove-upload-button" data-remove-index="${index}" title="Remove this SBOM and replay the others">&times;</button>
+                </div>
+                <div style="font-size: 12px; color: #666; margin-bottom: 8px;">
+                    ${sbom.components.length} components, ${sbom.dependencies.length} dependencies
+                </div>
+                <div style="font-size: 10px;">
+                </div>
+                ${dependencyVisualization ? `<div class="dependency-visualization" style="margin-top: 5px; padding: 5px; font-size: 9px;">${dependencyVisualization}</div>` : ''}
+                ${this.renderComponentDetails([sbom.metadata.component, ...sbom.components])}
+            </div>
+        `;
+        }).join('');
+    }
+
+    updateStageIndicator() {
+        const stageIndicator = document.getElementById('stageIndicator');
+        
+        if (this.sbomData.length === 0) {
+            // If no data is loaded yet, show loading indicator
+            stageIndicator.innerHTML = '<div class="loading">Loading SBOM data...</div>';
+            return;
+        }
+        
+        stageIndicator.innerHTML = this.sbomData.map((_, index) => {
+            let className = 'stage-dot';
+            if (index < this.currentStage) className += ' completed';
+            else if (index === this.currentStage) className += ' active';
+            return `<div class="${className}"></div>`;
+        }).join('');
+    }
+
+    updateProgress() {
+        const progressFill = document.getElementById('progressFill');
+        
+        if (this.sbomData.length === 0) {
+            // If no data is loaded yet, show indeterminate progress
+            progressFill.style.width = '5%';
+            progressFill.classList.add('loading');
+            return;
+        } else {
+            progressFill.classList.remove('loading');
+        }
+        
+        const progress = ((this.currentStage + 1) / this.sbomData.length) * 100;
+        progressFill.style.width = `${progress}%`;
+    }
+
+    renderGraph() {
+        const container = document.getElementById('graphContainer');
+        this.getGraphSvg(container);
+        
+        // A new layout replaces any layout switch still in motion
+        if (this.layoutAnimation) {
+            this.layoutAnimation.pause();
+            this.layoutAnimation = null;
+        }
+        
+        // Find dependency cycles before drawing so their nodes and edges can be marked. While comparing, each
+        // compared state is searched on its own: the union of both could close cycles that neither state has
+        this.dependencyCycles = [];
+        this.cycleGraphs = [];
+        const cycleKeys = new Set();
+        (this.compareDiff ? this.compareDiff.stateGraphs : [this.dependencyGraph]).forEach(graph => {
+            this.findDependencyCycles(graph).forEach(cycle => {
+                const key = [...cycle].sort().join('\n');
+                if (cycleKeys.has(key)) return;
+                cycleKeys.add(key);
+                this.dependencyCycles.push(cycle);
+                this.cycleGraphs.push(graph);
+            });
+        });
+        this.cycleMembership = new Map();
+        this.cycleEdges = new Set();
+        this.dependencyCycles.forEach((cycle, index) => {
+            const members = new Set(cycle);
+            cycle.forEach(node => {
+                if (!this.cycleMembership.has(node)) this.cycleMembership.set(node, index);
+                (this.cycleGraphs[index].get(node) || []).filter(dep => members.has(dep))
+                    .forEach(dep => this.cycleEdges.add(this.getEdgeKey(node, dep)));
+            });
+        });
+        this.updateCyclePanel();
+        this.updateProvenancePanel();
+        
+        // Check references and declarations of the graph after every change, so problems can be marked
+        this.integrityIssues = this.checkGraphIntegrity();
+        this.updateIntegrityPanel();
+        
+        // Subtrees of collapsed nodes are left out of the layout
+        this.updateCollapsedNodes();
+        
+        if (this.dependencyGraph.size === 0) {
+            this.nodePositions = new Map();
+            this.clusterBoxes = [];
+        } else {
+            // Calculate node sizes and positions
+            this.calculateNodePositions();
+            
+            // Log the nodes that will be rendered
+            console.log('Rendering nodes:', Array.from(this.nodePositions.keys()));
+            console.log('Main components (metadata only):', Array.from(this.getMainComponents()));
+            
+            // Until the user pans or zooms, every render keeps the whole graph in view
+            if (!this.userAdjustedView) {
+                this.viewTransform = this.getFitTransform();
+            }
+        }
+        
+        // Search matches, the active filter, the impact of the selected node, found paths and
+        // vulnerability findings follow the graph on screen
+        this.updateSearchMatches();
+        this.updateImpactAnalysis();
+        this.updatePathFinder();
+        this.updateVulnerabilities();
+        
+        this.drawGraph();
+    }
+    
+    drawGraph() {
+        const container = document.getElementById('graphContainer');
+        const svg = this.getGraphSvg(container);
+        
+        // Clear existing graph
+        this.graphElements.forEach(el => el.remove());
+        this.graphElements = [];
+        clearTimeout(this.cullTimer);
+        this.cullTimer = null;
+        
+        this.applyViewTransform(svg);
+        
+        // Draw everything within one screen of the visible area, so pan and zoom can move the drawn
+        // elements without drawing them again until the view leaves that area
+        const viewport = this.getGraphViewport();
+        this.drawnArea = viewport.width > 0 && viewport.height > 0 ? {
+            x: viewport.x - viewport.width,
+            y: viewport.y - viewport.height,
+            width: viewport.width * 3,
+            height: viewport.height * 3
+        } : null;
+        
+        if (this.dependencyGraph.size > 0) {
+            // Cluster boxes go behind everything, then edges (so they appear behind nodes)
+            this.renderClusters(svg.querySelector('.graph-clusters'), this.drawnArea);
+            this.renderEdges(svg.querySelector('.graph-edges'), this.drawnArea);
+            
+            // Render nodes
+            this.renderNodes(svg.querySelector('.graph-nodes'), this.drawnArea);
+        }
+        
+        this.drawMinimap();
+    }
+    
+    applyViewTransform(svg) {
+        svg.querySelector('.graph-viewport').setAttribute('transform',
+            `translate(${this.viewTransform.x}, ${this.viewTransform.y}) scale(${this.viewTransform.scale})`);
+    }
+
+    calculateNodePositions() {
+        // Lay out the graph as it looks with collapsed subtrees hidden; the full graph is put back even if a layout throws
+        const fullGraph = this.dependencyGraph;
+        this.dependencyGraph = this.getCollapsedGraph();
+        
+        try {
+            const nodes = Array.from(this.getGraphNodes());
+            this.calculateNodeSizes(nodes);
+            this.edgeRoutes = new Map();
+            this.clusterBoxes = [];
+            
+            if (this.layoutMode === 'force') {
+                this.nodePositions = this.calculateForceLayout(nodes);
+            } else if (this.layoutMode === 'radial') {
+                this.nodePositions = this.calculateRadialLayout(nodes);
+            } else if (this.layoutMode === 'clustered') {
+                this.nodePositions = this.calculateClusterLayout(nodes);
+            } else {
+                this.calculateLayeredLayout(nodes);
+            }
+        } finally {
+            this.dependencyGraph = fullGraph;
+        }
+    }
+    
+    updateCollapsedNodes() {
+        // A node is hidden when it can only be reached through collapsed nodes; nodes that are also
+        // reachable another way stay visible. Collapsed nodes that are not in the graph shown are ignored.
+        this.hiddenNodes = new Set();
+        this.collapsedCounts = new Map();
+        const nodes = this.getGraphNodes();
+        const collapsed = Array.from(this.collapsedNodes).filter(node => nodes.has(node));
+        if (collapsed.length === 0) return;
+        
+        const below = new Map(collapsed.map(node => [node, this.getImpactClosure(node, 'dependencies', 0)]));
+        const underCollapsed = new Set();
+        below.forEach((hops, node) => hops.forEach((distance, descendant) => {
+            if (descendant !== node) underCollapsed.add(descendant);
+        }));
+        
+        // Walk from everything that is not below a collapsed node, without going through collapsed nodes
+        const visible = new Set(Array.from(nodes).filter(node => !underCollapsed.has(node)));
+        const stack = Array.from(visible);
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (this.collapsedNodes.has(node)) continue;
+            (this.dependencyGraph.get(node) || []).forEach(dep => {
+                if (!visible.has(dep)) {
+                    visible.add(dep);
+                    stack.push(dep);
+                }
+            });
+        }
+        
+        underCollapsed.forEach(node => {
+            if (!visible.has(node)) this.hiddenNodes.add(node);
+        });
+        below.forEach((hops, node) => {
+            this.collapsedCounts.set(node, Array.from(hops.keys()).filter(descendant => this.hiddenNodes.has(descendant)).length);
+        });
+    }
+    
+    getCollapsedGraph() {
+        // The dependency graph without hidden nodes; collapsed nodes keep only the dependencies that stay visible
+        if (this.collapsedCounts.size === 0) return this.dependencyGraph;
+        
+        const graph = new Map();
+        this.getGraphNodes().forEach(node => {
+            if (this.hiddenNodes.has(node)) return;
+            graph.set(node, (this.dependencyGraph.get(node) || []).filter(dep => !this.hiddenNodes.has(dep)));
+        });
+        return graph;
+    }
+    
+    toggleCollapsed(node) {
+        if (this.collapsedNodes.has(node)) {
+            this.collapsedNodes.delete(node);
+        } else {
+            // Collapsing a node whose dependencies are all reachable some other way would hide nothing
+            this.collapsedNodes.add(node);
+            this.updateCollapsedNodes();
+            if (this.collapsedCounts.get(node) === 0) {
+                this.collapsedNodes.delete(node);
+                this.updateCollapsedNodes();
+                this.showNotification('Nothing to Collapse',
+                    `Every dependency of ${this.escapeHtml(node)} is also reachable through other nodes`);
+                return;
+            }
+        }
+        this.renderGraph();
+        this.scheduleSessionSave();
+    }
+    
+    expandAllNodes() {
+        if (this.collapsedNodes.size === 0) return;
+        this.collapsedNodes = new Set();
+        this.renderGraph();
+        this.scheduleSessionSave();
+    }
+    
+    calculateLayeredLayout(nodes) {
+        // Layered (Sugiyama-style) layout:
+        // 1. break cycles, 2. longest-path layering, 3. dummy nodes for long edges,
+        // 4. crossing reduction between levels, 5. coordinate assignment
+        const edges = this.getLayoutEdges(nodes);
+        const levels = this.calculateNodeLevels(nodes, edges);
+        const { layers, up, down, chains } = this.buildLayeredGraph(nodes, edges, levels);
+        
+        this.orderLayers(layers, up, down);
+        const positions = this.assignLayerCoordinates(layers, up, down);
+        
+        this.nodePositions = new Map();
+        nodes.forEach(node => this.nodePositions.set(node, positions.get(node)));
+        
+        // Edges spanning several levels are drawn through the positions of their dummy nodes
+        chains.forEach((dummies, edgeKey) => {
+            this.edgeRoutes.set(edgeKey, dummies.map(dummy => positions.get(dummy)));
+        });
+        
+        // Remember where every node ended up, so the next layout starts from the same order
+        this.previousLayoutX = new Map();
+        this.nodePositions.forEach((pos, node) => this.previousLayoutX.set(node, pos.x));
+    }
+    
+    calculateForceLayout(nodes) {
+        // Fruchterman-Reingold: edges pull their nodes together, every pair of nearby nodes pushes apart
+        const idealLength = 160;
+        const iterations = nodes.length > 1000 ? 60 : nodes.length > 300 ? 120 : 250;
+        const count = nodes.length;
+        const xs = new Float64Array(count);
+        const ys = new Float64Array(count);
+        const index = new Map(nodes.map((node, i) => [node, i]));
+        
+        // Start from the current picture so switching layouts keeps related nodes close together
+        nodes.forEach((node, i) => {
+            const current = this.nodePositions.get(node);
+            if (current) {
+                xs[i] = current.x;
+                ys[i] = current.y;
+            } else {
+                // Golden-angle spiral for nodes without a position
+                const radius = idealLength * Math.sqrt(i + 1) / 2;
+                xs[i] = radius * Math.cos(i * 2.399963);
+                ys[i] = radius * Math.sin(i * 2.399963);
+            }
+        });
+        
+        const edges = [];
+        this.dependencyGraph.forEach((deps, node) => {
+            deps.forEach(dep => {
+                if (dep !== node && index.has(dep)) edges.push([index.get(node), index.get(dep)]);
+            });
+        });
+        
+        let temperature = idealLength * 2;
+        const cooling = temperature / (iterations + 1);
+        const cellSize = idealLength * 2;
+        const dispX = new Float64Array(count);
+        const dispY = new Float64Array(count);
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            dispX.fill(0);
+            dispY.fill(0);
+            
+            // Repulsion only between nodes in neighboring grid cells keeps each iteration near linear
+            const grid = new Map();
+            for (let i = 0; i < count; i++) {
+                const cell = `${Math.floor(xs[i] / cellSize)},${Math.floor(ys[i] / cellSize)}`;
+                if (!grid.has(cell)) grid.set(cell, []);
+                grid.get(cell).push(i);
+            }
+            
+            for (let i = 0; i < count; i++) {
+                const cellX = Math.floor(xs[i] / cellSize);
+                const cellY = Math.floor(ys[i] / cellSize);
+                for (let gx = cellX - 1; gx <= cellX + 1; gx++) {
+                    for (let gy = cellY - 1; gy <= cellY + 1; gy++) {
+                        const cell = grid.get(`${gx},${gy}`);
+                        if (!cell) continue;
+                        for (const j of cell) {
+                            if (j === i) continue;
+                            let dx = xs[i] - xs[j];
+                            let dy = ys[i] - ys[j];
+                            if (dx === 0 && dy === 0) {
+                                dx = i < j ? 0.1 : -0.1;
+                                dy = 0.1;
+                            }
+                            const distanceSquared = dx * dx + dy * dy;
+                            if (distanceSquared > cellSize * cellSize) continue;
+                            
+                            // (k² / d) along the unit vector
+                            const factor = idealLength * idealLength / distanceSquared;
+                            dispX[i] += dx * factor;
+                            dispY[i] += dy * factor;
+                        }
+                    }
+                }
+            }
+            
+            edges.forEach(([from, to]) => {
+                const dx = xs[from] - xs[to];
+                const dy = ys[from] - ys[to];
+                // (d² / k) along the unit vector
+                const factor = Math.hypot(dx, dy) / idealLength;
+                dispX[from] -= dx * factor;
+                dispY[from] -= dy * factor;
+                dispX[to] += dx * factor;
+                dispY[to] += dy * factor;
+            });
+            
+            // Move every node at most as far as the current temperature allows
+            for (let i = 0; i < count; i++) {
+                const length = Math.hypot(dispX[i], dispY[i]);
+                if (length === 0) continue;
+                const step = Math.min(length, temperature) / length;
+                xs[i] += dispX[i] * step;
+                ys[i] += dispY[i] * step;
+            }
+            temperature -= cooling;
+        }
+        
+        return new Map(nodes.map((node, i) => [node, { x: xs[i], y: ys[i] }]));
+    }
+    
+    getRadialCenter(nodes) {
+        // The product SBOM in focus: the only highlighted SBOM, otherwise the most recent upload
+        const candidates = this.highlightedSboms.size === 1
+            ? [this.uploadedSboms[Array.from(this.highlightedSboms)[0]]]
+            : [...this.uploadedSboms].reverse();
+        const nodeSet = new Set(nodes);
+        for (const sbom of candidates) {
+            const ref = sbom && this.getComponentRef(sbom.metadata.component);
+            if (ref && nodeSet.has(ref)) return ref;
+        }
+        
+        // Otherwise the node with the most dependencies
+        return nodes.reduce((best, node) =>
+            (this.dependencyGraph.get(node) || []).length > (this.dependencyGraph.get(best) || []).length ? node : best, nodes[0]);
+    }
+    
+    calculateRadialLayout(nodes) {
+        const center = this.getRadialCenter(nodes);
+        
+        // Breadth-first spanning tree of dependencies from the center
+        const depth = new Map([[center, 0]]);
+        const children = new Map(nodes.map(node => [node, []]));
+        const queue = [center];
+        while (queue.length > 0) {
+            const node = queue.shift();
+            (this.dependencyGraph.get(node) || []).forEach(dep => {
+                if (!depth.has(dep)) {
+                    depth.set(dep, depth.get(node) + 1);
+                    children.get(node).push(dep);
+                    queue.push(dep);
+                }
+            });
+        }
+        
+        // Nodes the center does not depend on go on one outer ring
+        const maxDepth = Math.max(...depth.values());
+        const unreachable = nodes.filter(node => !depth.has(node));
+        unreachable.forEach(node => {
+            depth.set(node, maxDepth + 1);
+            children.get(center).push(node);
+        });
+        
+        // Each subtree gets an angular wedge proportional to the number of leaves below it
+        const leafCount = new Map();
+        const countLeaves = (node) => {
+            const count = children.get(node).reduce((sum, child) => sum + countLeaves(child), 0) || 1;
+            leafCount.set(node, count);
+            return count;
+        };
+        countLeaves(center);
+        
+        // Rings grow with depth and are wide enough to hold their nodes side by side
+        const ringWidths = new Map();
+        nodes.forEach(node => {
+            const ring = depth.get(node);
+            ringWidths.set(ring, (ringWidths.get(ring) || 0) + this.nodeSizes.get(node).width + 30);
+        });
+        const ringRadius = [0];
+        for (let ring = 1; ring <= Math.max(...depth.values()); ring++) {
+            ringRadius[ring] = Math.max(ringRadius[ring - 1] + 180, (ringWidths.get(ring) || 0) / (2 * Math.PI));
+        }
+        
+        const positions = new Map();
+        const place = (node, startAngle, endAngle) => {
+            const angle = (startAngle + endAngle) / 2;
+            const radius = ringRadius[depth.get(node)];
+            positions.set(node, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+            
+            let childStart = startAngle;
+            children.get(node).forEach(child => {
+                const span = (endAngle - startAngle) * leafCount.get(child) / leafCount.get(node);
+                place(child, childStart, childStart + span);
+                childStart += span;
+            });
+        };
+        place(center, -Math.PI / 2, Math.PI * 3 / 2);
+        
+        return positions;
+    }
+    
+    calculateClusterLayout(nodes) {
+        // Each displayed upload becomes a box holding the components only it declares. The boxes sit on a
+        // ring; components declared by several uploads are placed inside the ring, between the boxes that share them.
+        const sboms = this.getDisplayedSboms();
+        const owners = new Map(nodes.map(node => [node, []]));
+        sboms.forEach((sbom, index) => {
+            new Set([sbom.metadata.component, ...sbom.components].map(c => this.getComponentRef(c))).forEach(node => {
+                if (owners.has(node)) owners.get(node).push(index);
+            });
+        });
+        
+        const clusters = sboms.map((sbom, index) => ({
+            label: `Stage ${index + 1}: ${this.getComponentRef(sbom.metadata.component)}`,
+            members: nodes.filter(node => owners.get(node).length === 1 && owners.get(node)[0] === index)
+        }));
+        const undeclared = nodes.filter(node => owners.get(node).length === 0);
+        if (undeclared.length > 0) {
+            clusters.push({ label: 'Not declared by any SBOM', members: undeclared, undeclared: true });
+        }
+        const sharedGroups = new Map();
+        nodes.filter(node => owners.get(node).length > 1).forEach(node => {
+            const key = owners.get(node).join(',');
+            if (!sharedGroups.has(key)) sharedGroups.set(key, { owners: owners.get(node), members: [] });
+            sharedGroups.get(key).members.push(node);
+        });
+        
+        // Lay out the inside of every box and every shared group around its own origin
+        const labelHeight = 30;
+        const padding = 25;
+        clusters.forEach(cluster => {
+            const block = this.layoutNodeBlock(cluster.members, true);
+            cluster.offsets = block.offsets;
+            cluster.width = Math.max(block.width, this.measureNodeLabel(cluster.label)) + padding * 2;
+            cluster.height = block.height + padding * 2 + labelHeight;
+        });
+        sharedGroups.forEach(group => Object.assign(group, this.layoutNodeBlock(group.members, false)));
+        
+        // The ring is wide enough for neighbouring boxes not to touch and for the shared groups in the middle
+        const count = clusters.length;
+        const halfDiagonal = cluster => Math.hypot(cluster.width, cluster.height) / 2;
+        const sharedArea = Array.from(sharedGroups.values()).reduce((sum, group) => sum + (group.width + 40) * (group.height + 40), 0);
+        let radius = 0;
+        if (count > 1) {
+            const largest = Math.max(...clusters.map(halfDiagonal));
+            radius = Math.max(
+                (largest * 2 + 60) / (2 * Math.sin(Math.PI / count)),
+                largest + Math.sqrt(sharedArea) / 2 + 60
+            );
+        }
+        clusters.forEach((cluster, index) => {
+            const angle = Math.PI + 2 * Math.PI * index / count;
+            cluster.x = radius * Math.cos(angle);
+            cluster.y = radius * Math.sin(angle);
+        });
+        
+        const positions = new Map();
+        clusters.forEach(cluster => {
+            cluster.offsets.forEach((offset, node) => positions.set(node, {
+                x: cluster.x + offset.x,
+                y: cluster.y + offset.y + labelHeight / 2
+            }));
+            this.clusterBoxes.push({
+                label: cluster.label,
+                x: cluster.x - cluster.width / 2,
+                y: cluster.y - cluster.height / 2,
+                width: cluster.width,
+                height: cluster.height,
+                undeclared: cluster.undeclared === true
+            });
+        });
+        
+        // Shared groups go to the middle of their owners' boxes; groups that would overlap are stacked downwards
+        const placed = [];
+        Array.from(sharedGroups.values())
+            .map(group => ({
+                ...group,
+                x: group.owners.reduce((sum, index) => sum + clusters[index].x, 0) / group.owners.length,
+                y: group.owners.reduce((sum, index) => sum + clusters[index].y, 0) / group.owners.length
+            }))
+            .sort((a, b) => a.y - b.y || a.x - b.x)
+            .forEach(group => {
+                const overlaps = other => Math.abs(group.x - other.x) * 2 < group.width + other.width + 40 &&
+                    Math.abs(group.y - other.y) * 2 < group.height + other.height + 40;
+                let blocker = placed.find(overlaps);
+                while (blocker) {
+                    group.y = blocker.y + (blocker.height + group.height) / 2 + 40;
+                    blocker = placed.find(overlaps);
+                }
+                placed.push(group);
+                group.offsets.forEach((offset, node) => positions.set(node, { x: group.x + offset.x, y: group.y + offset.y }));
+            });
+        
+        return positions;
+    }
+    
+    layoutNodeBlock(members, byDepth) {
+        // Rows of nodes centered on (0, 0): by dependency depth inside the block, or as a plain grid
+        const memberSet = new Set(members);
+        const depth = new Map();
+        if (byDepth) {
+            const hasIncoming = new Set();
+            members.forEach(node => (this.dependencyGraph.get(node) || []).forEach(dep => {
+                if (memberSet.has(dep)) hasIncoming.add(dep);
+            }));
+            const queue = members.filter(node => !hasIncoming.has(node));
+            queue.forEach(node => depth.set(node, 0));
+            while (queue.length > 0) {
+                const node = queue.shift();
+                (this.dependencyGraph.get(node) || []).forEach(dep => {
+                    if (memberSet.has(dep) && !depth.has(dep)) {
+                        depth.set(dep, depth.get(node) + 1);
+                        queue.push(dep);
+                    }
+                });
+            }
+        }
+        
+        const maxColumns = Math.max(3, Math.ceil(Math.sqrt(members.length)));
+        const rows = [];
+        const rowOf = new Map();
+        members.forEach(node => {
+            const key = depth.has(node) ? depth.get(node) : (byDepth ? Infinity : 0);
+            if (!rowOf.has(key)) rowOf.set(key, []);
+            rowOf.get(key).push(node);
+        });
+        Array.from(rowOf.keys()).sort((a, b) => a - b).forEach(key => {
+            const row = rowOf.get(key);
+            for (let start = 0; start < row.length; start += maxColumns) {
+                rows.push(row.slice(start, start + maxColumns));
+            }
+        });
+        
+        const gap = 30;
+        const rowHeight = 70;
+        const rowWidths = rows.map(row => row.reduce((sum, node) => sum + this.nodeSizes.get(node).width, 0) + gap * (row.length - 1));
+        const width = Math.max(0, ...rowWidths);
+        const height = rows.length > 0 ? (rows.length - 1) * rowHeight + 38 : 0;
+        
+        const offsets = new Map();
+        rows.forEach((row, rowIndex) => {
+            let x = -rowWidths[rowIndex] / 2;
+            row.forEach(node => {
+                const nodeWidth = this.nodeSizes.get(node).width;
+                offsets.set(node, { x: x + nodeWidth / 2, y: rowIndex * rowHeight - height / 2 + 19 });
+                x += nodeWidth + gap;
+            });
+        });
+        
+        return { offsets, width, height };
+    }
+    
+    renderClusters(layer, viewport = this.getGraphViewport()) {
+        this.clusterBoxes.forEach(box => {
+            if (!this.isInViewport(box.x, box.y, box.width, box.height, viewport)) return;
+            
+            const cluster = this.createSvgElement('g', { class: `graph-cluster${box.undeclared ? ' undeclared' : ''}` });
+            cluster.appendChild(this.createSvgElement('rect', {
+                class: 'graph-cluster-box', x: box.x, y: box.y, width: box.width, height: box.height, rx: 12
+            }));
+            const label = this.createSvgElement('text', { class: 'graph-cluster-label', x: box.x + 14, y: box.y + 22 });
+            label.textContent = box.label;
+            cluster.appendChild(label);
+            
+            layer.appendChild(cluster);
+            this.graphElements.push(cluster);
+        });
+    }
+    
+    setLayoutMode(mode) {
+        if (mode === this.layoutMode) return;
+        this.layoutMode = mode;
+        
+        if (this.dependencyGraph.size === 0) return;
+        
+        // Animate every node from its old position to the new one
+        const oldPositions = new Map(this.nodePositions);
+        this.calculateNodePositions();
+        const newPositions = this.nodePositions;
+        const newRoutes = this.edgeRoutes;
+        if (!this.userAdjustedView) {
+            this.viewTransform = this.getFitTransform();
+        }
+        
+        if (this.layoutAnimation) {
+            this.layoutAnimation.pause();
+        }
+        
+        // Edges are drawn straight while nodes are moving
+        this.edgeRoutes = new Map();
+        const progress = { value: 0 };
+        this.layoutAnimation = anime({
+            targets: progress,
+            value: [0, 1],
+            duration: 800,
+            easing: 'easeInOutQuad',
+            begin: () => this.drawGraph(),
+            update: () => {
+                this.nodePositions = new Map();
+                newPositions.forEach((to, node) => {
+                    const from = oldPositions.get(node) || to;
+                    this.nodePositions.set(node, {
+                        x: from.x + (to.x - from.x) * progress.value,
+                        y: from.y + (to.y - from.y) * progress.value
+                    });
+                });
+                this.updateRenderedPositions();
+            },
+            complete: () => {
+                this.layoutAnimation = null;
+                this.nodePositions = newPositions;
+                this.edgeRoutes = newRoutes;
+                this.drawGraph();
+            }
+        });
+    }
+    
+    updateRenderedPositions() {
+        // Move the elements already in the DOM instead of rebuilding the graph on every frame
+        document.querySelectorAll('#graphContainer .node').forEach(nodeEl => {
+            const pos = this.nodePositions.get(nodeEl.dataset.node);
+            if (pos) nodeEl.setAttribute('transform', `translate(${pos.x}, ${pos.y})`);
+        });
+        document.querySelectorAll('#graphContainer .edge').forEach(edgeEl => {
+            const points = this.getEdgePoints(edgeEl.dataset.from, edgeEl.dataset.to);
+            if (points) edgeEl.setAttribute('d', this.getEdgePath(points));
+        });
+    }
+    
+    getEdgeKey(from, to) {
+        return `${from}\u0000${to}`;
+    }
+    
+    getLayoutEdges(nodes) {
+        // Depth-first search from the roots; edges that point back into the current path close a cycle
+        // and are reversed for layering only (they are still drawn in their real direction)
+        const hasIncoming = new Set();
+        this.dependencyGraph.forEach(deps => deps.forEach(dep => hasIncoming.add(dep)));
+        const startOrder = [...nodes.filter(node => !hasIncoming.has(node)), ...nodes.filter(node => hasIncoming.has(node))];
+        
+        const edges = [];
+        const state = new Map(); // node -> 'active' | 'done'
+        startOrder.forEach(start => {
+            if (state.has(start)) return;
+            
+            const stack = [{ node: start, deps: this.dependencyGraph.get(start) || [], index: 0 }];
+            state.set(start, 'active');
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                if (frame.index >= frame.deps.length) {
+                    state.set(frame.node, 'done');
+                    stack.pop();
+                    continue;
+                }
+                
+                const dep = frame.deps[frame.index++];
+                if (dep === frame.node) continue; // Self-dependencies have no place in a layered layout
+                
+                if (state.get(dep) === 'active') {
+                    edges.push({ from: frame.node, to: dep, upper: dep, lower: frame.node });
+                } else {
+                    edges.push({ from: frame.node, to: dep, upper: frame.node, lower: dep });
+                    if (!state.has(dep)) {
+                        state.set(dep, 'active');
+                        stack.push({ node: dep, deps: this.dependencyGraph.get(dep) || [], index: 0 });
+                    }
+                }
+            }
+        });
+        
+        return edges;
+    }
+
+    calculateNodeLevels(nodes, edges) {
+        // Longest-path layering: every node sits one level below its deepest parent
+        const levels = new Map();
+        const incomingCount = new Map(nodes.map(node => [node, 0]));
+        const children = new Map(nodes.map(node => [node, []]));
+        edges.forEach(edge => {
+            incomingCount.set(edge.lower, incomingCount.get(edge.lower) + 1);
+            children.get(edge.upper).push(edge.lower);
+        });
+        
+        const queue = nodes.filter(node => incomingCount.get(node) === 0);
+        queue.forEach(node => levels.set(node, 0));
+        
+        while (queue.length > 0) {
+            const node = queue.shift();
+            children.get(node).forEach(child => {
+                levels.set(child, Math.max(levels.get(child) || 0, levels.get(node) + 1));
+                incomingCount.set(child, incomingCount.get(child) - 1);
+                if (incomingCount.get(child) === 0) {
+                    queue.push(child);
+                }
+            });
+        }
+        
+        return levels;
+    }
+    
+    buildLayeredGraph(nodes, edges, levels) {
+        const maxLevel = Math.max(0, ...levels.values());
+        const layers = Array.from({ length: maxLevel + 1 }, () => []);
+        nodes.forEach(node => layers[levels.get(node)].push(node));
+        
+        const up = new Map(nodes.map(node => [node, []]));
+        const down = new Map(nodes.map(node => [node, []]));
+        const chains = new Map();
+        
+        edges.forEach(edge => {
+            // Replace edges spanning several levels with a chain of dummy nodes, one per level crossed
+            const chain = [edge.upper];
+            for (let level = levels.get(edge.upper) + 1; level < levels.get(edge.lower); level++) {
+                const dummy = `\u0000dummy\u0000${edge.from}\u0000${edge.to}\u0000${level}`;
+                layers[level].push(dummy);
+                up.set(dummy, []);
+                down.set(dummy, []);
+                chain.push(dummy);
+            }
+            chain.push(edge.lower);
+            
+            for (let i = 0; i < chain.length - 1; i++) {
+                down.get(chain[i]).push(chain[i + 1]);
+                up.get(chain[i + 1]).push(chain[i]);
+            }
+            
+            // Routes follow the real direction of the edge
+            const dummies = chain.slice(1, -1);
+            if (edge.upper !== edge.from) dummies.reverse();
+            if (dummies.length > 0) chains.set(this.getEdgeKey(edge.from, edge.to), dummies);
+        });
+        
+        return { layers, up, down, chains };
+    }
+    
+    orderLayers(layers, up, down) {
+        // Start from the previous layout's horizontal order, placing new nodes under their parents
+        const previousX = this.previousLayoutX || new Map();
+        const orderKey = new Map();
+        layers.forEach(layer => {
+            layer.forEach(node => {
+                if (previousX.has(node)) {
+                    orderKey.set(node, previousX.get(node));
+                    return;
+                }
+                const parentKeys = up.get(node).filter(parent => orderKey.has(parent)).map(parent => orderKey.get(parent));
+                orderKey.set(node, parentKeys.length > 0
+                    ? parentKeys.reduce((sum, key) => sum + key, 0) / parentKeys.length
+                    : Infinity);
+            });
+            this.sortLayer(layer, node => orderKey.get(node));
+        });
+        
+        // Barycenter sweeps, alternating down and up; only a strictly better order replaces the current one,
+        // so an unchanged graph keeps exactly the same picture
+        let best = layers.map(layer => [...layer]);
+        let bestCrossings = this.countLayerCrossings(layers, down);
+        for (let iteration = 0; iteration < 8 && bestCrossings > 0; iteration++) {
+            if (iteration % 2 === 0) {
+                for (let i = 1; i < layers.length; i++) this.sortLayerByBarycenter(layers[i], layers[i - 1], up);
+            } else {
+                for (let i = layers.length - 2; i >= 0; i--) this.sortLayerByBarycenter(layers[i], layers[i + 1], down);
+            }
+            
+            const crossings = this.countLayerCrossings(layers, down);
+            if (crossings < bestCrossings) {
+                best = layers.map(layer => [...layer]);
+                bestCrossings = crossings;
+            }
+        }
+        best.forEach((layer, i) => {
+            layers[i] = layer;
+            
+            // Keep versions of the same package next to each other
+            const firstIndexByPackage = new Map();
+            layer.forEach((node, index) => {
+                const packageKey = this.getPackageKey(node);
+                if (!firstIndexByPackage.has(packageKey)) firstIndexByPackage.set(packageKey, index);
+            });
+            this.sortLayer(layer, node => firstIndexByPackage.get(this.getPackageKey(node)));
+        });
+    }
+    
+    sortLayer(layer, getKey) {
+        // Stable sort: equal keys keep their current order
+        const sorted = layer
+            .map((node, index) => ({ node, index, key: getKey(node) }))
+            .sort((a, b) => (a.key === b.key ? 0 : a.key < b.key ? -1 : 1) || a.index - b.index)
+            .map(entry => entry.node);
+        layer.splice(0, layer.length, ...sorted);
+    }
+    
+    sortLayerByBarycenter(layer, fixedLayer, neighbors) {
+        const fixedIndex = new Map(fixedLayer.map((node, index) => [node, index]));
+        const currentIndex = new Map(layer.map((node, index) => [node, index]));
+        
+        // Nodes without neighbors in the fixed layer stay where they are
+        this.sortLayer(layer, node => {
+            const positions = neighbors.get(node).filter(n => fixedIndex.has(n)).map(n => fixedIndex.get(n));
+            if (positions.length === 0) return currentIndex.get(node) * fixedLayer.length / Math.max(layer.length, 1);
+            return positions.reduce((sum, position) => sum + position, 0) / positions.length;
+        });
+    }
+    
+    countLayerCrossings(layers, down) {
+        let crossings = 0;
+        for (let i = 0; i < layers.length - 1; i++) {
+            const lowerIndex = new Map(layers[i + 1].map((node, index) => [node, index]));
+            
+            // Edges ordered by upper position; every inversion in lower positions is a crossing
+            const targets = [];
+            layers[i].forEach(node => {
+                down.get(node).map(child => lowerIndex.get(child)).sort((a, b) => a - b).forEach(index => targets.push(index));
+            });
+            
+            // Count inversions with a Fenwick tree
+            const tree = new Array(layers[i + 1].length + 1).fill(0);
+            targets.forEach((target, seen) => {
+                let notGreater = 0;
+                for (let j = target + 1; j > 0; j -= j & -j) notGreater += tree[j];
+                crossings += seen - notGreater;
+                for (let j = target + 1; j < tree.length; j += j & -j) tree[j]++;
+            });
+        }
+        return crossings;
+    }
+    
+    assignLayerCoordinates(layers, up, down) {
+        const levelHeight = 120;
+        const nodeGap = 40;
+        const widthOf = node => this.nodeSizes.has(node) ? this.nodeSizes.get(node).width : 10;
+        
+        // Minimum distance between the centers of neighbors in the same layer
+        const offsetsByLayer = layers.map(layer => {
+            const offsets = [0];
+            for (let i = 1; i < layer.length; i++) {
+                offsets.push(offsets[i - 1] + (widthOf(layer[i - 1]) + widthOf(layer[i])) / 2 + nodeGap);
+            }
+            return offsets;
+        });
+        
+        // Start with every layer packed and centered around x = 0
+        const x = new Map();
+        layers.forEach((layer, i) => {
+            const offsets = offsetsByLayer[i];
+            const center = offsets.length > 0 ? offsets[offsets.length - 1] / 2 : 0;
+            layer.forEach((node, index) => x.set(node, offsets[index] - center));
+        });
+        
+        // Pull nodes towards the average position of their neighbors, keeping order and spacing
+        const placeLayer = (i, neighbors) => {
+            const layer = layers[i];
+            const offsets = offsetsByLayer[i];
+            const desired = layer.map(node => {
+                const positions = neighbors.get(node).map(n => x.get(n));
+                return positions.length > 0 ? positions.reduce((sum, p) => sum + p, 0) / positions.length : x.get(node);
+            });
+            
+            // Pool adjacent violators: closest placement to the desired positions that respects the offsets
+            const blocks = [];
+            desired.forEach((value, index) => {
+                blocks.push({ sum: value - offsets[index], count: 1 });
+                while (blocks.length > 1 &&
+                       blocks[blocks.length - 2].sum / blocks[blocks.length - 2].count >
+                       blocks[blocks.length - 1].sum / blocks[blocks.length - 1].count) {
+                    const last = blocks.pop();
+                    blocks[blocks.length - 1].sum += last.sum;
+                    blocks[blocks.length - 1].count += last.count;
+                }
+            });
+            let index = 0;
+            blocks.forEach(block => {
+                for (let k = 0; k < block.count; k++, index++) {
+                    x.set(layer[index], block.sum / block.count + offsets[index]);
+                }
+            });
+        };
+        
+        for (let iteration = 0; iteration < 4; iteration++) {
+            for (let i = 1; i < layers.length; i++) placeLayer(i, up);
+            for (let i = layers.length - 2; i >= 0; i--) placeLayer(i, down);
+        }
+        
+        const positions = new Map();
+        layers.forEach((layer, i) => {
+            layer.forEach(node => positions.set(node, { x: x.get(node), y: i * levelHeight }));
+        });
+        return positions;
+    }
+
+    getComponentTagClass(componentRef, currentSbom = null) {
+        if (currentSbom) {
+            // Check if it's the root component (from metadata)
+            if (currentSbom.metadata.component.purl === componentRef ||
+                currentSbom.metadata.component['bom-ref'] === componentRef) {
+                return 'component-tag';
+            }
+
+            return 'dependency-tag';
+        }
+
+        for (const sbom of this.uploadedSboms) {
+            console.log(componentRef, sbom.metadata.component.purl);
+            if (sbom.metadata.component.purl === componentRef ||
+                sbom.metadata.component['bom-ref'] === componentRef) {
+                return 'component-tag';
+            }
+        }
+
+        return 'dependency-tag';
+    }
+
+
+
+    renderNodes(layer, viewport = this.getGraphViewport(), { interactive = true } = {}) {
+        // Image exports draw the nodes without the tooltip, selection and collapse handlers
+        
+        // Collect only metadata components (these should be red)
+        const mainComponents = this.getMainComponents();
+        
+        const highlightedNodes = this.getHighlightedNodes();
+        
+        const pathHighlight = this.getPathHighlight();
+        this.nodePositions.forEach((pos, node) => {
+            const size = this.nodeSizes.get(node);
+            
+            // Viewport culling: nodes outside the drawn area are not added to the DOM
+            if (!this.isInViewport(pos.x - size.width / 2, pos.y - size.height / 2, size.width, size.height, viewport)) {
+                return;
+            }
+            
+            // Image exports leave out the nodes the active filter excludes
+            if (this.exportNodes && !this.exportNodes.has(node)) {
+                return;
+            }
+            
+            const nodeEl = this.createSvgElement('g', { class: 'node', transform: `translate(${pos.x}, ${pos.y})` });
+            nodeEl.dataset.node = node;
+            
+            const body = this.createSvgElement('g', { class: 'node-body' });
+            body.appendChild(this.createSvgElement('rect', {
+                class: 'node-shape',
+                x: -size.width / 2,
+                y: -size.height / 2,
+                width: size.width,
+                height: size.height,
+                rx: size.height / 2
+            }));
+            const label = this.createSvgElement('text', { class: 'node-label', 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+            label.textContent = node;
+            body.appendChild(label);
+            nodeEl.appendChild(body);
+            
+            // Color main components red, all others green
+            if (mainComponents.has(node)) {
+                nodeEl.classList.add('main-component');
+            } else {
+                nodeEl.classList.add('other-component');
+            }
+            
+            if (highlightedNodes.has(node)) {
+                nodeEl.classList.add('highlighted');
+            }
+            
+            if (this.compareDiff) {
+                nodeEl.classList.add(`diff-${this.compareDiff.nodes.get(node)}`);
+            }
+            
+            if (this.cycleMembership.has(node)) {
+                nodeEl.classList.add('in-cycle');
+                if (this.focusedCycle !== null && this.dependencyCycles[this.focusedCycle].includes(node)) {
+                    nodeEl.classList.add('cycle-focused');
+                }
+            }
+            
+            // The search dims everything it does not match
+            if (this.searchMatchSet) {
+                if (!this.searchMatchSet.has(node)) {
+                    nodeEl.classList.add('search-dimmed');
+                } else if (node === this.searchMatches[this.searchIndex]) {
+                    nodeEl.classList.add('search-current');
+                }
+            }
+            
+            // Impact analysis: the clicked node, the nodes within reach of it, and everything else dimmed
+            if (this.impactHops) {
+                if (node === this.impactNode) {
+                    nodeEl.classList.add('impact-source');
+                } else if (this.impactHops.has(node)) {
+                    nodeEl.classList.add('impact-member');
+                } else {
+                    nodeEl.classList.add('impact-dimmed');
+                }
+            }
+            
+            // Path finder: the nodes on the found paths stand out, their endpoints most
+            if (pathHighlight) {
+                if (node === this.pathQuery.from || node === this.pathQuery.to) {
+                    nodeEl.classList.add('path-endpoint');
+                } else if (pathHighlight.nodes.has(node)) {
+                    nodeEl.classList.add('path-node');
+                } else {
+                    nodeEl.classList.add('path-dimmed');
+                }
+            }
+            
+            // Integrity problems get a warning badge in the colour of the most serious one
+            const integrityIssues = this.integrityIssues.get(node);
+            if (integrityIssues) {
+                const kinds = integrityIssues.map(issue => issue.kind);
+                const kind = ['dangling', 'mismatch', 'orphan'].find(candidate => kinds.includes(candidate));
+                kinds.forEach(issueKind => nodeEl.classList.add(`integrity-${issueKind}`));
+                const badge = this.createSvgElement('g', {
+                    class: `integrity-badge integrity-${kind}`,
+                    transform: `translate(${-size.width / 2 + 4}, ${-size.height / 2})`
+                });
+                badge.appendChild(this.createSvgElement('rect', { x: -8, y: -8, width: 16, height: 16, rx: 8 }));
+                const badgeLabel = this.createSvgElement('text', { 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+                badgeLabel.textContent = '!';
+                badge.appendChild(badgeLabel);
+                body.appendChild(badge);
+            }
+            
+            // Vulnerable nodes are filled in the colour of their worst finding, their dependents outlined in it
+            const vulnerability = this.vulnerabilityFindings.get(node);
+            const vulnerabilitySeverity = vulnerability && this.getNodeSeverity(vulnerability);
+            if (vulnerabilitySeverity) {
+                nodeEl.classList.add('vulnerable', `vuln-${vulnerabilitySeverity}`);
+            } else if (vulnerability) {
+                nodeEl.classList.add('vuln-suppressed');
+            }
+            if (!vulnerabilitySeverity && this.vulnerabilityExposure.has(node)) {
+                nodeEl.classList.add('vuln-exposed', `vuln-exposed-${this.vulnerabilityExposure.get(node)}`);
+            }
+            
+            // Mark packages that were upgraded or downgraded with a badge showing the previous version
+            const versionChange = this.versionChanges.get(node);
+            if (versionChange) {
+                nodeEl.classList.add(`version-${versionChange.direction}`);
+                const arrow = versionChange.direction === 'upgrade' ? '↑' : versionChange.direction === 'downgrade' ? '↓' : '↻';
+                const badgeText = `${arrow} ${versionChange.fromVersion}`;
+                const badgeWidth = badgeText.length * 6 + 10;
+                const badge = this.createSvgElement('g', {
+                    class: 'version-badge',
+                    transform: `translate(${size.width / 2 - badgeWidth / 2}, ${-size.height / 2})`
+                });
+                badge.appendChild(this.createSvgElement('rect', { x: -badgeWidth / 2, y: -8, width: badgeWidth, height: 16, rx: 8 }));
+                const badgeLabel = this.createSvgElement('text', { 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+                badgeLabel.textContent = badgeText;
+                badge.appendChild(badgeLabel);
+                body.appendChild(badge);
+            }
+            
+            // Nodes with dependencies get a toggle below them: "−" collapses the subtree, "+N" expands it again
+            if ((this.dependencyGraph.get(node) || []).length > 0) {
+                const collapsedCount = this.collapsedCounts.get(node);
+                const isCollapsed = collapsedCount !== undefined;
+                const toggleText = isCollapsed ? `+${collapsedCount}` : '−';
+                const toggleWidth = Math.max(20, toggleText.length * 7 + 10);
+                if (isCollapsed) {
+                    nodeEl.classList.add('collapsed');
+                }
+                const toggle = this.createSvgElement('g', {
+                    class: `collapse-toggle${isCollapsed ? ' collapsed' : ''}`,
+                    transform: `translate(0, ${size.height / 2})`
+                });
+                toggle.appendChild(this.createSvgElement('rect', { x: -toggleWidth / 2, y: -9, width: toggleWidth, height: 18, rx: 9 }));
+                const toggleLabel = this.createSvgElement('text', { 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+                toggleLabel.textContent = toggleText;
+                toggle.appendChild(toggleLabel);
+                if (interactive) {
+                    toggle.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        if (this.graphDragDistance > 4) return;
+                        this.toggleCollapsed(node);
+                    });
+                }
+                nodeEl.appendChild(toggle);
+            }
+            
+            if (interactive) {
+                nodeEl.addEventListener('mouseenter', (e) => this.showTooltip(e, node));
+                nodeEl.addEventListener('click', () => {
+                    // A click selects the node for impact analysis; the end of a drag does not
+                    if (this.graphDragDistance > 4) return;
+                    this.selectImpactNode(this.impactNode === node ? null : node);
+                });
+                nodeEl.addEventListener('mouseleave', () => this.hideTooltip());
+            }
+            
+            layer.appendChild(nodeEl);
+            this.graphElements.push(nodeEl);
+        });
+    }
+
+    renderEdges(layer, viewport = this.getGraphViewport()) {
+        const pathHighlight = this.getPathHighlight();
+        this.dependencyGraph.forEach((deps, node) => {
+            deps.forEach(dep => {
+                // The provenance filter keeps only the edges added by one upload
+                if (this.provenanceFilter !== null) {
+                    const record = this.provenance.edges.get(this.getEdgeKey(node, dep));
+                    if (!record || !record.addedBy || record.addedBy.sbomIndex !== this.provenanceFilter) return;
+                }
+                if (this.exportNodes && !(this.exportNodes.has(node) && this.exportNodes.has(dep))) return;
+                
+                // A collapsed node's hidden dependencies are summed up in its badge
+                if (this.hiddenNodes.has(dep)) return;
+                
+                const edge = this.createEdge(node, dep, viewport);
+                if (!edge) return;
+                
+                if (this.searchMatchSet && !(this.searchMatchSet.has(node) && this.searchMatchSet.has(dep))) {
+                    edge.classList.add('search-dimmed');
+                }
+                
+                if (this.impactHops) {
+                    edge.classList.add(this.isImpactEdge(node, dep) ? 'impact-edge' : 'impact-dimmed');
+                }
+                
+                if (pathHighlight) {
+                    edge.classList.add(pathHighlight.edges.has(this.getEdgeKey(node, dep)) ? 'path-edge' : 'path-dimmed');
+                }
+                
+                // Edges between members of the same cycle are drawn in the cycle style
+                if (this.cycleEdges.has(this.getEdgeKey(node, dep))) {
+                    edge.classList.add('cycle-edge');
+                }
+                
+                if (this.compareDiff) {
+                    edge.classList.add(`diff-${this.compareDiff.edges.get(this.getEdgeKey(node, dep))}`);
+                }
+                
+                layer.appendChild(edge);
+                this.graphElements.push(edge);
+            });
+        });
+        
+        // Link each new package version to the version it replaced, while both are still in the graph
+        this.versionChanges.forEach((change, node) => {
+            if (this.provenanceFilter !== null && change.sbomIndex !== this.provenanceFilter) return;
+            if (this.exportNodes && !(this.exportNodes.has(change.from) && this.exportNodes.has(node))) return;
+            const edge = this.createEdge(change.from, node, viewport);
+            if (!edge) return;
+            
+            edge.classList.add('version-link', `version-${change.direction}`);
+            layer.appendChild(edge);
+            this.graphElements.push(edge);
+        });
+    }
 
-            nextSbom.innerHTML = `
-            <div class="sbom-title">${sbom.metadata.component.purl}${isForceCandidate ? ' <span class="force-candidate">(Force candidate)</span>' : ''}</div>
-            <div class="sbom-metadata">${sbom.bomFormat} v${sbom.specVersion}</div>
-            <div class="component-list">
-                ${dependencyVisualization ? `<div class="dependency-visualization">${dependencyVisualization}</div>` : ''}
-            </div>
+    createEdge(fromNode, toNode, viewport) {
+        const points = this.getEdgePoints(fromNode, toNode);
+        if (!points) return null;
+        
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        if (!this.isInViewport(minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY, viewport)) {
+            return null;
+        }
+        
+        const edge = this.createSvgElement('path', {
+            class: 'edge',
+            d: this.getEdgePath(points),
+            'marker-end': 'url(#graph-arrowhead)'
+        });
+        edge.dataset.from = fromNode;
+        edge.dataset.to = toNode;
+        
+        return edge;
+    }
+    
+    getEdgePoints(fromNode, toNode) {
+        const from = this.nodePositions.get(fromNode);
+        const to = this.nodePositions.get(toNode);
+        if (!from || !to || fromNode === toNode) return null;
+        
+        // Long edges bend through the positions of their dummy nodes
+        const route = (this.edgeRoutes && this.edgeRoutes.get(this.getEdgeKey(fromNode, toNode))) || [];
+        const firstTarget = route.length > 0 ? route[0] : to;
+        const lastSource = route.length > 0 ? route[route.length - 1] : from;
+        
+        // Clip the edge to the real bounds of both nodes so the arrowhead touches the target
+        const start = this.getNodeBoundaryPoint(from, this.nodeSizes.get(fromNode), firstTarget);
+        const end = this.getNodeBoundaryPoint(to, this.nodeSizes.get(toNode), lastSource);
+        
+        // Overlapping nodes leave nothing to draw
+        if (route.length === 0 && (end.x - start.x) * (to.x - from.x) + (end.y - start.y) * (to.y - from.y) <= 0) return null;
+        
+        return [start, ...route, end];
+    }
+    
+    getEdgePath(points) {
+        return points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+    }
+    
+    getNodeBoundaryPoint(center, size, toward) {
+        const dx = toward.x - center.x;
+        const dy = toward.y - center.y;
+        if (dx === 0 && dy === 0) return { x: center.x, y: center.y };
+        
+        // Scale the direction vector until it leaves the node's bounding box
+        const scaleX = dx !== 0 ? (size.width / 2) / Math.abs(dx) : Infinity;
+        const scaleY = dy !== 0 ? (size.height / 2) / Math.abs(dy) : Infinity;
+        const scale = Math.min(scaleX, scaleY);
+        
+        return { x: center.x + dx * scale, y: center.y + dy * scale };
+    }
+    
+    getGraphSvg(container) {
+        let svg = container.querySelector('svg.graph-svg');
+        if (svg) return svg;
+        
+        svg = this.createSvgElement('svg', { class: 'graph-svg' });
+        svg.innerHTML = `
+            <defs>
+                <marker id="graph-arrowhead" viewBox="0 0 10 10" refX="10" refY="5"
+                        markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z" fill="context-stroke"></path>
+                </marker>
+                <linearGradient id="node-gradient-default" x1="0" y1="1" x2="1" y2="0">
+                    <stop offset="0%" stop-color="#3498db"></stop>
+                    <stop offset="100%" stop-color="#2980b9"></stop>
+                </linearGradient>
+                <linearGradient id="node-gradient-main" x1="0" y1="1" x2="1" y2="0">
+                    <stop offset="0%" stop-color="#e74c3c"></stop>
+                    <stop offset="100%" stop-color="#c0392b"></stop>
+                </linearGradient>
+                <linearGradient id="node-gradient-other" x1="0" y1="1" x2="1" y2="0">
+                    <stop offset="0%" stop-color="#27ae60"></stop>
+                    <stop offset="100%" stop-color="#229954"></stop>
+                </linearGradient>
+                <linearGradient id="node-gradient-highlight" x1="0" y1="1" x2="1" y2="0">
+                    <stop offset="0%" stop-color="#ff6b35"></stop>
+                    <stop offset="100%" stop-color="#f7931e"></stop>
+                </linearGradient>
+            </defs>
+            <g class="graph-viewport">
+                <g class="graph-clusters"></g>
+                <g class="graph-edges"></g>
+                <g class="graph-nodes"></g>
+            </g>
         `;
-
-            nextButton.textContent = this.currentStage === -1 ? 'Start Upload Process' : 'Upload Next SBOM';
-            nextButton.disabled = false;
+        container.appendChild(svg);
+        return svg;
+    }
+    
+    createSvgElement(tagName, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+    
+    calculateNodeSizes(nodes) {
+        this.nodeSizes = new Map();
+        Array.from(nodes).forEach(node => {
+            // Pill-shaped nodes: label width plus 15px padding on each side
+            this.nodeSizes.set(node, { width: this.measureNodeLabel(node) + 30, height: 38 });
+        });
+    }
+    
+    measureNodeLabel(label) {
+        if (this.labelMeasureContext === undefined) {
+            this.labelMeasureContext = document.createElement('canvas').getContext('2d');
+            if (this.labelMeasureContext) {
+                this.labelMeasureContext.font = "600 14px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+            }
+        }
+        
+        // Fall back to an average character width when canvas is unavailable
+        return this.labelMeasureContext ? this.labelMeasureContext.measureText(label).width : label.length * 8;
+    }
+    
+    getGraphViewport() {
+        // The visible part of the graph, in graph coordinates
+        const container = document.getElementById('graphContainer');
+        const { x, y, scale } = this.viewTransform;
+        return {
+            x: -x / scale,
+            y: -y / scale,
+            width: container.clientWidth / scale,
+            height: container.clientHeight / scale
+        };
+    }
+    
+    getGraphBounds() {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        this.nodePositions.forEach((pos, node) => {
+            if (this.exportNodes && !this.exportNodes.has(node)) return;
+            const size = this.nodeSizes.get(node);
+            minX = Math.min(minX, pos.x - size.width / 2);
+            minY = Math.min(minY, pos.y - size.height / 2);
+            maxX = Math.max(maxX, pos.x + size.width / 2);
+            maxY = Math.max(maxY, pos.y + size.height / 2);
+        });
+        
+        this.clusterBoxes.forEach(box => {
+            minX = Math.min(minX, box.x);
+            minY = Math.min(minY, box.y);
+            maxX = Math.max(maxX, box.x + box.width);
+            maxY = Math.max(maxY, box.y + box.height);
+        });
+        
+        if (minX === Infinity) return null;
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+    
+    getFitTransform() {
+        const container = document.getElementById('graphContainer');
+        const bounds = this.getGraphBounds();
+        const padding = 40;
+        if (!bounds || container.clientWidth === 0 || container.clientHeight === 0) {
+            return { x: padding, y: padding, scale: 1 };
+        }
+        
+        // Never enlarge small graphs beyond their natural size
+        const scale = Math.max(this.minZoom, Math.min(
+            (container.clientWidth - padding * 2) / bounds.width,
+            (container.clientHeight - padding * 2) / bounds.height,
+            1
+        ));
+        return {
+            x: (container.clientWidth - bounds.width * scale) / 2 - bounds.x * scale,
+            y: (container.clientHeight - bounds.height * scale) / 2 - bounds.y * scale,
+            scale
+        };
+    }
+    
+    fitGraphToView() {
+        this.userAdjustedView = false;
+        this.viewTransform = this.getFitTransform();
+        this.scheduleViewUpdate();
+    }
+    
+    zoomGraphAt(factor, screenX, screenY) {
+        const current = this.viewTransform;
+        const scale = Math.max(this.minZoom, Math.min(this.maxZoom, current.scale * factor));
+        const ratio = scale / current.scale;
+        
+        // Keep the graph point under the cursor in place
+        this.viewTransform = {
+            x: screenX - (screenX - current.x) * ratio,
+            y: screenY - (screenY - current.y) * ratio,
+            scale
+        };
+        this.userAdjustedView = true;
+        this.scheduleViewUpdate();
+    }
+    
+    panGraphBy(dx, dy) {
+        this.viewTransform = { ...this.viewTransform, x: this.viewTransform.x + dx, y: this.viewTransform.y + dy };
+        this.userAdjustedView = true;
+        this.scheduleViewUpdate();
+    }
+    
+    centerGraphOn(graphX, graphY) {
+        const container = document.getElementById('graphContainer');
+        const { scale } = this.viewTransform;
+        this.viewTransform = {
+            x: container.clientWidth / 2 - graphX * scale,
+            y: container.clientHeight / 2 - graphY * scale,
+            scale
+        };
+        this.userAdjustedView = true;
+        this.scheduleViewUpdate();
+    }
+    
+    isInViewport(x, y, width, height, viewport) {
+        // A container that has not been laid out yet has no size; draw everything rather than nothing
+        if (!viewport || viewport.width === 0 || viewport.height === 0) return true;
+        
+        const margin = 50;
+        return x + width >= viewport.x - margin &&
+               y + height >= viewport.y - margin &&
+               x <= viewport.x + viewport.width + margin &&
+               y <= viewport.y + viewport.height + margin;
+    }
+    
+    scheduleViewUpdate() {
+        // Pan, zoom and resize only move the drawn graph (once per frame); it is culled again, at most
+        // every 150 ms, when the visible area leaves the drawn area or, after zooming in, is far smaller than it
+        if (this.pendingViewUpdate) return;
+        this.pendingViewUpdate = requestAnimationFrame(() => {
+            this.pendingViewUpdate = null;
+            if (!this.userAdjustedView) {
+                this.viewTransform = this.getFitTransform();
+            }
+            this.applyViewTransform(this.getGraphSvg(document.getElementById('graphContainer')));
+            this.drawMinimap();
+            
+            const viewport = this.getGraphViewport();
+            const area = this.drawnArea;
+            const drawn = !area || viewport.width === 0 || viewport.height === 0 || (
+                viewport.x >= area.x && viewport.y >= area.y &&
+                viewport.x + viewport.width <= area.x + area.width &&
+                viewport.y + viewport.height <= area.y + area.height &&
+                area.width <= viewport.width * 9);
+            if (!drawn && !this.cullTimer) {
+                this.cullTimer = setTimeout(() => {
+                    this.cullTimer = null;
+                    this.drawGraph();
+                }, 150);
+            }
+        });
+    }
+    
+    scheduleGraphRender() {
+        // Coalesce bursts of viewport changes (resize, pan, zoom) into one draw per frame
+        if (this.pendingGraphRender) return;
+        this.pendingGraphRender = requestAnimationFrame(() => {
+            this.pendingGraphRender = null;
+            if (!this.userAdjustedView) {
+                this.viewTransform = this.getFitTransform();
+            }
+            this.drawGraph();
+        });
+    }
+    
+    setupGraphNavigation() {
+        const container = document.getElementById('graphContainer');
+        if (!container) return;
+        
+        // Mouse wheel zooms around the cursor
+        container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = container.getBoundingClientRect();
+            this.zoomGraphAt(Math.exp(-e.deltaY * 0.0015), e.clientX - rect.left, e.clientY - rect.top);
+        }, { passive: false });
+        
+        // One pointer drags the graph, two pointers pinch-zoom around their midpoint
+        const pointers = new Map();
+        container.addEventListener('pointerdown', (e) => {
+            if ((e.button !== 0 && e.pointerType === 'mouse') || e.target.closest('.graph-controls, .graph-search')) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.graphDragDistance = 0;
+            container.classList.add('panning');
+        });
+        
+        window.addEventListener('pointermove', (e) => {
+            const previous = pointers.get(e.pointerId);
+            if (!previous) return;
+            
+            // Until one pointer has moved past the click threshold nothing pans, so a click on a node doesn't nudge
+            // the view (or trigger a re-cull that replaces the node). The press point is kept, so the first pan includes the jitter
+            if (pointers.size === 1 && this.graphDragDistance <= 4) {
+                this.graphDragDistance = Math.hypot(e.clientX - previous.x, e.clientY - previous.y);
+                if (this.graphDragDistance <= 4) return;
+            } else {
+                this.graphDragDistance += Math.hypot(e.clientX - previous.x, e.clientY - previous.y);
+            }
+            
+            if (pointers.size === 1) {
+                this.panGraphBy(e.clientX - previous.x, e.clientY - previous.y);
+            } else if (pointers.size === 2) {
+                const other = Array.from(pointers.entries()).find(([id]) => id !== e.pointerId)[1];
+                const previousDistance = Math.hypot(previous.x - other.x, previous.y - other.y);
+                const distance = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+                const rect = container.getBoundingClientRect();
+                
+                if (previousDistance > 0) {
+                    this.zoomGraphAt(distance / previousDistance,
+                        (e.clientX + other.x) / 2 - rect.left,
+                        (e.clientY + other.y) / 2 - rect.top);
+                }
+                this.panGraphBy((e.clientX - previous.x) / 2, (e.clientY - previous.y) / 2);
+            }
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        });
+        
+        const endPointer = (e) => {
+            pointers.delete(e.pointerId);
+            if (pointers.size === 0) {
+                container.classList.remove('panning');
+            }
+        };
+        window.addEventListener('pointerup', endPointer);
+        window.addEventListener('pointercancel', endPointer);
+        
+        // Zoom buttons and fit to view
+        const zoomInButton = document.getElementById('zoomInButton');
+        const zoomOutButton = document.getElementById('zoomOutButton');
+        const fitViewButton = document.getElementById('fitViewButton');
+        if (zoomInButton) {
+            zoomInButton.addEventListener('click', () => this.zoomGraphAt(1.25, container.clientWidth / 2, container.clientHeight / 2));
+        }
+        if (zoomOutButton) {
+            zoomOutButton.addEventListener('click', () => this.zoomGraphAt(0.8, container.clientWidth / 2, container.clientHeight / 2));
+        }
+        if (fitViewButton) {
+            fitViewButton.addEventListener('click', () => this.fitGraphToView());
+        }
+        const expandAllButton = document.getElementById('expandAllButton');
+        if (expandAllButton) {
+            expandAllButton.addEventListener('click', () => this.expandAllNodes());
+        }
+        
+        // Clicking or dragging on the minimap moves the viewport there
+        const minimap = document.getElementById('graphMinimap');
+        if (minimap) {
+            let draggingMinimap = false;
+            const moveToMinimapPoint = (e) => {
+                if (!this.minimapTransform) return;
+                const rect = minimap.getBoundingClientRect();
+                const { scale, offsetX, offsetY } = this.minimapTransform;
+                this.centerGraphOn((e.clientX - rect.left - offsetX) / scale, (e.clientY - rect.top - offsetY) / scale);
+            };
+            minimap.addEventListener('pointerdown', (e) => {
+                draggingMinimap = true;
+                moveToMinimapPoint(e);
+            });
+            window.addEventListener('pointermove', (e) => {
+                if (draggingMinimap) moveToMinimapPoint(e);
+            });
+            window.addEventListener('pointerup', () => {
+                draggingMinimap = false;
+            });
+        }
+    }
+    
+    setupGraphSearch() {
+        const searchInput = document.getElementById('graphSearchInput');
+        if (!searchInput) return;
+        
+        const searchRegexCheckbox = document.getElementById('graphSearchRegex');
+        searchInput.addEventListener('input', () => this.setSearchQuery(searchInput.value, searchRegexCheckbox.checked));
+        searchRegexCheckbox.addEventListener('change', () => this.setSearchQuery(searchInput.value, searchRegexCheckbox.checked));
+        
+        // Enter and Shift+Enter step through the matches, Escape clears the search
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.stepSearchMatch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                searchInput.value = '';
+                this.setSearchQuery('', searchRegexCheckbox.checked);
+            }
+        });
+        document.getElementById('searchPrevButton').addEventListener('click', () => this.stepSearchMatch(-1));
+        document.getElementById('searchNextButton').addEventListener('click', () => this.stepSearchMatch(1));
+        
+        const graphFilterSelect = document.getElementById('graphFilterSelect');
+        graphFilterSelect.addEventListener('change', () => this.setActiveFilter(graphFilterSelect.value));
+        document.getElementById('saveFilterButton').addEventListener('click', () => this.saveSearchAsFilter());
+        document.getElementById('deleteFilterButton').addEventListener('click', () => this.deleteActiveFilter());
+        
+        this.updateFilterSelect();
+    }
+    
+    getDefaultFilters() {
+        return [
+            { name: 'Only pkg:npm', query: '^pkg:npm/', regex: true, builtIn: true },
+            { name: 'Only main components', query: '', regex: false, mainOnly: true, builtIn: true }
+        ];
+    }
+    
+    createTextMatcher(query, isRegex) {
+        // Case-insensitive substring or regular expression; an invalid expression throws
+        if (!query) return () => true;
+        if (isRegex) {
+            const pattern = new RegExp(query, 'i');
+            return text => pattern.test(text);
+        }
+        const needle = query.toLowerCase();
+        return text => text.toLowerCase().includes(needle);
+    }
+    
+    getNodeSearchTexts(node, componentRegistry) {
+        // The node's identity and every value kept for it in the registry (name, version, purl, licenses, ...)
+        const texts = [node];
+        const collect = value => {
+            if (value === null || value === undefined) return;
+            if (typeof value === 'object') {
+                Object.values(value).forEach(collect);
+            } else {
+                texts.push(String(value));
+            }
+        };
+        const entry = componentRegistry.get(node);
+        if (entry) {
+            collect(entry.attributes);
+        }
+        return texts;
+    }
+    
+    getActiveFilter() {
+        return this.savedFilters.find(filter => filter.name === this.activeFilterName) || null;
+    }
+    
+    getFilteredNodes(nodes, componentRegistry, sboms) {
+        // Nodes passing the active saved filter, or null when no filter is active
+        const filter = this.getActiveFilter();
+        if (!filter) return null;
+        
+        const matches = this.createTextMatcher(filter.query, filter.regex);
+        const mainComponents = this.getMainComponents(sboms);
+        return new Set(Array.from(nodes).filter(node =>
+            (!filter.mainOnly || mainComponents.has(node)) &&
+            this.getNodeSearchTexts(node, componentRegistry).some(matches)));
+    }
+    
+    getExportNodes() {
+        // The nodes an export contains: those of the displayed state that pass the active filter (null: all of them)
+        const { dependencyGraph, componentRegistry, sboms } = this.getDisplayedState();
+        const nodes = new Set(dependencyGraph.keys());
+        dependencyGraph.forEach(deps => deps.forEach(dep => nodes.add(dep)));
+        return this.getFilteredNodes(nodes, componentRegistry, sboms);
+    }
+    
+    setSearchQuery(query, isRegex) {
+        this.searchQuery = query;
+        this.searchRegex = isRegex;
+        this.searchIndex = -1;
+        this.updateSearchMatches();
+        this.drawGraph();
+    }
+    
+    updateSearchMatches() {
+        // Match the search against the graph on screen, within the active filter; an invalid expression matches nothing
+        const searchInput = document.getElementById('graphSearchInput');
+        const searchCount = document.getElementById('graphSearchCount');
+        const nodes = this.getGraphNodes();
+        const filtered = this.getFilteredNodes(nodes, this.componentRegistry, this.getDisplayedSboms());
+        
+        let matches;
+        let invalid = false;
+        try {
+            matches = this.createTextMatcher(this.searchQuery, this.searchRegex);
+        } catch (error) {
+            matches = () => false;
+            invalid = true;
+        }
+        
+        if (!this.searchQuery && !filtered) {
+            this.searchMatches = [];
+            this.searchMatchSet = null;
         } else {
-            nextSbom.innerHTML = `
-            <div class="sbom-title">All SBOMs uploaded</div>
-            <div class="sbom-metadata">Upload process complete</div>
-            <div class="component-list"></div>
+            this.searchMatches = Array.from(filtered || nodes)
+                .filter(node => this.getNodeSearchTexts(node, this.componentRegistry).some(matches));
+            
+            // Step through the matches top to bottom, left to right
+            const position = node => this.nodePositions.get(node) || { x: 0, y: 0 };
+            this.searchMatches.sort((a, b) => position(a).y - position(b).y || position(a).x - position(b).x);
+            this.searchMatchSet = new Set(this.searchMatches);
+        }
+        if (this.searchIndex >= this.searchMatches.length) {
+            this.searchIndex = -1;
+        }
+        
+        if (searchInput) {
+            searchInput.classList.toggle('invalid', invalid);
+        }
+        if (searchCount) {
+            searchCount.textContent = invalid ? 'Invalid regex'
+                : this.searchMatchSet === null ? ''
+                : this.searchIndex >= 0 ? `${this.searchIndex + 1} / ${this.searchMatches.length}`
+                : `${this.searchMatches.length} match${this.searchMatches.length === 1 ? '' : 'es'}`;
+        }
+    }
+    
+    stepSearchMatch(direction) {
+        if (this.searchMatches.length === 0) return;
+        
+        const count = this.searchMatches.length;
+        this.searchIndex = this.searchIndex < 0
+            ? (direction > 0 ? 0 : count - 1)
+            : (this.searchIndex + direction + count) % count;
+        this.updateSearchMatches();
+        
+        const pos = this.nodePositions.get(this.searchMatches[this.searchIndex]);
+        if (pos) {
+            this.centerGraphOn(pos.x, pos.y);
+        }
+        // Draw the current match highlighted (centering alone only moves the drawn graph)
+        this.drawGraph();
+    }
+    
+    setActiveFilter(name) {
+        this.activeFilterName = name;
+        this.searchIndex = -1;
+        this.updateFilterSelect();
+        this.updateSearchMatches();
+        this.drawGraph();
+        this.scheduleSessionSave();
+    }
+    
+    saveSearchAsFilter() {
+        // The search is saved under its own text; saving it again just selects it
+        if (!this.searchQuery) {
+            this.showNotification('Nothing to Save', 'Type a search first, then save it as a filter');
+            return;
+        }
+        try {
+            this.createTextMatcher(this.searchQuery, this.searchRegex);
+        } catch (error) {
+            this.showNotification('Invalid Filter', `"${this.searchQuery}" is not a valid regular expression`);
+            return;
+        }
+        
+        const name = this.searchRegex ? `/${this.searchQuery}/` : this.searchQuery;
+        if (!this.savedFilters.some(filter => filter.name === name)) {
+            this.savedFilters.push({ name, query: this.searchQuery, regex: this.searchRegex });
+        }
+        
+        // The saved filter takes over from the search
+        const searchInput = document.getElementById('graphSearchInput');
+        if (searchInput) searchInput.value = '';
+        this.searchQuery = '';
+        this.setActiveFilter(name);
+    }
+    
+    deleteActiveFilter() {
+        const filter = this.getActiveFilter();
+        if (!filter || filter.builtIn) return;
+        
+        this.savedFilters = this.savedFilters.filter(candidate => candidate !== filter);
+        this.setActiveFilter('');
+    }
+    
+    updateFilterSelect() {
+        const graphFilterSelect = document.getElementById('graphFilterSelect');
+        if (!graphFilterSelect) return;
+        
+        graphFilterSelect.innerHTML = `
+            <option value="">All nodes</option>
+            ${this.savedFilters.map(filter => `<option value="${this.escapeHtml(filter.name)}">${this.escapeHtml(filter.name)}</option>`).join('')}
         `;
-
-            nextButton.textContent = 'Upload Complete';
-            nextButton.disabled = true;
+        graphFilterSelect.value = this.activeFilterName;
+        graphFilterSelect.classList.toggle('active', this.activeFilterName !== '');
+        
+        const deleteFilterButton = document.getElementById('deleteFilterButton');
+        if (deleteFilterButton) {
+            const filter = this.getActiveFilter();
+            deleteFilterButton.disabled = !filter || filter.builtIn === true;
+        }
+    }
+    
+    getImpactClosure(node, direction, maxDepth) {
+        // Breadth-first walk along dependencies or against them (reverse dependents); node -> fewest hops
+        const next = new Map();
+        if (direction === 'dependents') {
+            this.dependencyGraph.forEach((deps, from) => deps.forEach(dep => {
+                if (!next.has(dep)) next.set(dep, []);
+                next.get(dep).push(from);
+            }));
+        } else {
+            this.dependencyGraph.forEach((deps, from) => next.set(from, deps));
+        }
+        
+        const hops = new Map([[node, 0]]);
+        let frontier = [node];
+        for (let depth = 1; frontier.length > 0 && (maxDepth === 0 || depth <= maxDepth); depth++) {
+            const reached = [];
+            frontier.forEach(current => (next.get(current) || []).forEach(neighbour => {
+                if (!hops.has(neighbour)) {
+                    hops.set(neighbour, depth);
+                    reached.push(neighbour);
+                }
+            }));
+            frontier = reached;
         }
+        return hops;
     }
-
-    updateUploadedList() {
-        const uploadedList = document.getElementById('uploadedList');
-
-        uploadedList.innerHTML = this.uploadedSboms.map((sbom, index) => {
-            const components = sbom.components.map(c => c.purl);
-            const dependencyVisualization = sbom.dependencies
-                .map(dep => {
-                    // Determine the appropriate tag class
-                    const componentTagClass = this.getComponentTagClass(dep.ref);
-
-                    return `
-                    <div class="dependency-item">
-                        <span class="${componentTagClass}" style="font-size: 10px; padding: 1px 4px;">${dep.ref}</span>
-                        <span class="dependency-arrow" style="font-size: 10px;">→</span>
-                        <div class="dependency-list">
-                            ${dep.dependsOn.map(d => {
-                        // Determine the appropriate tag class for each dependency
-                        const dependencyTagClass = this.getComponentTagClass(d);
-                        return `<span class="${dependencyTagClass}" style="font-size: 9px; padding: 1px 3px;">${d}</span>`;
-                    }).join('')}
-                        </div>
-                    </div>
-                `;
-                }).join('');
-
-            // Check if this SBOM was uploaded with force mode
-            const forceModeIndicator = sbom.forceMode ?
-                `<span class="force-mode-indicator" style="background-color: #ff5722; color: white; font-size: 9px; padding: 1px 4px; border-radius: 3px; margin-left: 5px;">FORCE</span>` : '';
-
-            return `
-            <div class="uploaded-item${sbom.forceMode ? ' force-mode' : ''}" data-index="${index}">
-                <div style="font-weight: 600; margin-bottom: 5px;">
-                    Stage ${index + 1}: ${sbom.metadata.component.purl} ${forceModeIndicator}
-                </div>
-                <div style="font-size: 12px; color: #666; margin-bottom: 8px;">
-                    ${sbom.components.length} components, ${sbom.dependencies.length} dependencies
-                </div>
-                <div style="font-size: 10px;">
-                </div>
-                ${dependencyVisualization ? `<div class="dependency-visualization" style="margin-top: 5px; padding: 5px; font-size: 9px;">${dependencyVisualization}</div>` : ''}
-            </div>
-        `;
-        }).join('');
+    
+    isImpactEdge(from, to) {
+        // Edges on a shortest walk from the selected node, in the direction being analysed
+        if (!this.impactHops || !this.impactHops.has(from) || !this.impactHops.has(to)) return false;
+        return this.impactDirection === 'dependents'
+            ? this.impactHops.get(from) === this.impactHops.get(to) + 1
+            : this.impactHops.get(to) === this.impactHops.get(from) + 1;
     }
-
-    updateStageIndicator() {
-        const stageIndicator = document.getElementById('stageIndicator');
+    
+    selectImpactNode(node) {
+        this.impactNode = node;
+        this.refreshImpactAnalysis();
+    }
+    
+    refreshImpactAnalysis() {
+        this.updateImpactAnalysis();
+        this.drawGraph();
+    }
+    
+    updateImpactAnalysis() {
+        // The selection is kept across history navigation; states without the node show no impact
+        this.impactHops = this.impactNode !== null && this.getGraphNodes().has(this.impactNode)
+            ? this.getImpactClosure(this.impactNode, this.impactDirection, this.impactDepth)
+            : null;
+        this.updateImpactPanel();
+    }
+    
+    updateImpactPanel() {
+        const impactList = document.getElementById('impactList');
+        if (!impactList) return;
         
-        if (this.sbomData.length === 0) {
-            // If no data is loaded yet, show loading indicator
-            stageIndicator.innerHTML = '<div class="loading">Loading SBOM data...</div>';
+        const panel = impactList.closest('.graph-panel');
+        panel.classList.toggle('active', this.impactNode !== null);
+        if (this.impactNode === null) {
+            impactList.innerHTML = '';
             return;
         }
         
-        stageIndicator.innerHTML = this.sbomData.map((_, index) => {
-            let className = 'stage-dot';
-            if (index < this.currentStage) className += ' completed';
-            else if (index === this.currentStage) className += ' active';
-            return `<div class="${className}"></div>`;
-        }).join('');
+        document.getElementById('impactSource').textContent = this.impactNode;
+        const impactSummary = document.getElementById('impactSummary');
+        if (!this.impactHops) {
+            impactSummary.textContent = 'Not in the graph shown';
+            impactList.innerHTML = '';
+            return;
+        }
+        
+        // The products (main components of the uploads) within reach, nearest first
+        const mainComponents = this.getMainComponents(this.getDisplayedSboms());
+        const products = Array.from(this.impactHops)
+            .filter(([node]) => node !== this.impactNode && mainComponents.has(node))
+            .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]));
+        const reached = this.impactHops.size - 1;
+        const noun = this.impactDirection === 'dependents'
+            ? (reached === 1 ? 'dependent' : 'dependents')
+            : (reached === 1 ? 'dependency' : 'dependencies');
+        impactSummary.textContent = `${reached} ${noun}` +
+            `${this.impactDepth > 0 ? ` within ${this.impactDepth} hop${this.impactDepth === 1 ? '' : 's'}` : ''}, ` +
+            `${products.length} product${products.length === 1 ? '' : 's'}`;
+        impactList.innerHTML = products.map(([node, hops]) => `
+            <div class="impact-item" data-node="${this.escapeHtml(node)}">
+                <span class="impact-product">${this.escapeHtml(node)}</span>
+                <span class="impact-hops">${hops} hop${hops === 1 ? '' : 's'}</span>
+            </div>
+        `).join('');
     }
-
-    updateProgress() {
-        const progressFill = document.getElementById('progressFill');
+    
+    findDependencyPaths(from, to, limit) {
+        // Simple paths from one node to another, shortest first. Partial paths are expanded best-first by their
+        // length plus the distance that is still left to the target, so the shortest ones come out without
+        // walking every shorter prefix; the search gives up once a fixed number of partial paths were queued.
+        const distance = new Map([[to, 0]]);
+        const reverse = new Map();
+        this.dependencyGraph.forEach((deps, node) => deps.forEach(dep => {
+            if (!reverse.has(dep)) reverse.set(dep, []);
+            reverse.get(dep).push(node);
+        }));
+        let frontier = [to];
+        while (frontier.length > 0) {
+            const reached = [];
+            frontier.forEach(current => (reverse.get(current) || []).forEach(node => {
+                if (!distance.has(node)) {
+                    distance.set(node, distance.get(current) + 1);
+                    reached.push(node);
+                }
+            }));
+            frontier = reached;
+        }
         
-        if (this.sbomData.length === 0) {
-            // If no data is loaded yet, show indeterminate progress
-            progressFill.style.width = '5%';
-            progressFill.classList.add('loading');
+        const paths = [];
+        if (from === to || !distance.has(from)) {
+            return { paths, truncated: false };
+        }
+        
+        // One stack of partial paths per estimated total length; the newest (longest) partial path goes first.
+        // A partial path is its last node plus a link to the partial path it extends, so extending one copies nothing
+        const maxPaths = limit === 'all' ? this.maxListedPaths : limit;
+        const maxQueued = 100000;
+        const buckets = new Map([[distance.get(from), [{ node: from, prev: null, length: 1 }]]]);
+        const maxBound = this.getGraphNodes().size;
+        let queued = 1;
+        let bound = distance.get(from);
+        const onPath = (entry, node) => {
+            for (let current = entry; current; current = current.prev) {
+                if (current.node === node) return true;
+            }
+            return false;
+        };
+        while (paths.length < maxPaths) {
+            while (bound <= maxBound && !(buckets.get(bound) || []).length) bound++;
+            if (bound > maxBound) break;
+            
+            const entry = buckets.get(bound).pop();
+            if (entry.node === to) {
+                const path = [];
+                for (let current = entry; current; current = current.prev) path.unshift(current.node);
+                paths.push(path);
+                continue;
+            }
+            // Pushed in reverse so that paths of equal length come out in dependency order
+            const deps = (this.dependencyGraph.get(entry.node) || []).filter(dep => distance.has(dep) && !onPath(entry, dep));
+            if (queued + deps.length > maxQueued) {
+                return { paths, truncated: true };
+            }
+            deps.reverse().forEach(dep => {
+                const estimate = entry.length + distance.get(dep);
+                if (!buckets.has(estimate)) buckets.set(estimate, []);
+                buckets.get(estimate).push({ node: dep, prev: entry, length: entry.length + 1 });
+                queued++;
+            });
+        }
+        
+        // "All paths" that reached the cap may have missed some; k shortest is complete once k are found
+        return { paths, truncated: limit === 'all' && paths.length >= maxPaths };
+    }
+    
+    togglePathFinder() {
+        this.showPathFinder = !this.showPathFinder;
+        document.getElementById('pathsButton').classList.toggle('active', this.showPathFinder);
+        this.updatePathFinder();
+        this.drawGraph();
+    }
+    
+    setPathQuery(query) {
+        this.pathQuery = query;
+        this.focusedPath = null;
+        this.updatePathFinder();
+        this.drawGraph();
+    }
+    
+    updatePathFinder() {
+        // Paths are looked up again in every graph shown (history states, previews), for the same pair of nodes
+        const nodes = this.getGraphNodes();
+        const { from, to, limit } = this.pathQuery;
+        this.pathResult = this.showPathFinder && nodes.has(from) && nodes.has(to)
+            ? this.findDependencyPaths(from, to, limit)
+            : null;
+        if (this.focusedPath !== null && (!this.pathResult || this.focusedPath >= this.pathResult.paths.length)) {
+            this.focusedPath = null;
+        }
+        this.updatePathPanel();
+    }
+    
+    getPathHighlight() {
+        // Nodes and edge keys of the found paths (or of the path picked in the list)
+        if (!this.pathResult || this.pathResult.paths.length === 0) return null;
+        
+        const paths = this.focusedPath !== null ? [this.pathResult.paths[this.focusedPath]] : this.pathResult.paths;
+        const nodes = new Set();
+        const edges = new Set();
+        paths.forEach(path => path.forEach((node, index) => {
+            nodes.add(node);
+            if (index > 0) edges.add(this.getEdgeKey(path[index - 1], node));
+        }));
+        return { nodes, edges };
+    }
+    
+    updatePathPanel() {
+        const pathList = document.getElementById('pathList');
+        if (!pathList) return;
+        
+        const panel = pathList.closest('.graph-panel');
+        panel.classList.toggle('active', this.showPathFinder);
+        if (!this.showPathFinder) return;
+        
+        // Suggest the nodes of the graph on screen in both inputs
+        const pathNodeList = document.getElementById('pathNodeList');
+        pathNodeList.innerHTML = Array.from(this.getGraphNodes()).sort()
+            .map(node => `<option value="${this.escapeHtml(node)}"></option>`).join('');
+        
+        const pathSummary = document.getElementById('pathSummary');
+        const { from, to } = this.pathQuery;
+        if (!from || !to) {
+            pathSummary.textContent = 'Choose the node to start from and the node to reach';
+            pathList.innerHTML = '';
+            return;
+        }
+        if (!this.pathResult) {
+            const nodes = this.getGraphNodes();
+            pathSummary.textContent = `${[from, to].filter(node => !nodes.has(node)).join(' and ')} not in the graph shown`;
+            pathList.innerHTML = '';
             return;
+        }
+        
+        const { paths, truncated } = this.pathResult;
+        pathSummary.textContent = paths.length === 0
+            ? `${from} does not depend on ${to}`
+            : `${paths.length}${truncated ? '+' : ''} path${paths.length === 1 ? '' : 's'}${truncated ? ' (search stopped early)' : ''}`;
+        
+        // Each hop is labelled with the upload that added the edge
+        const hop = (fromNode, toNode) => {
+            const record = this.provenance.edges.get(this.getEdgeKey(fromNode, toNode));
+            const source = record && record.addedBy;
+            return `<span class="path-hop" title="${this.escapeHtml(this.describeProvenanceSource(source))}">` +
+                `${source ? `Stage ${source.sbomIndex + 1}` : '?'} →</span>`;
+        };
+        pathList.innerHTML = paths.map((path, index) => `
+            <div class="path-item${index === this.focusedPath ? ' active' : ''}" data-path="${index}">
+                <div class="path-length">${path.length - 1} hop${path.length === 2 ? '' : 's'}</div>
+                <div class="path-chain">${path.map((node, position) =>
+                    `${position > 0 ? hop(path[position - 1], node) : ''}<span class="path-chain-node">${this.escapeHtml(node)}</span>`).join(' ')}</div>
+            </div>
+        `).join('');
+    }
+    
+    readVulnerabilityFeed(text, name) {
+        // OSV JSON (one record, a list, {vulns} or osv-scanner results) or a CycloneDX VEX/BOM in JSON or XML
+        let document;
+        if (text.trim().startsWith('<')) {
+            document = this.convertCycloneDxXml(text);
         } else {
-            progressFill.classList.remove('loading');
+            try {
+                document = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`${name} is not valid JSON or XML`);
+            }
+        }
+        return this.createVulnerabilityFeed(document, name);
+    }
+    
+    createVulnerabilityFeed(document, name) {
+        if (document && document.bomFormat === 'CycloneDX') {
+            if (!Array.isArray(document.vulnerabilities) || document.vulnerabilities.length === 0) {
+                throw new Error(`${name} is a CycloneDX document without vulnerabilities`);
+            }
+            return this.indexVulnerabilitySource({ name, document, ...this.readCycloneDxVulnerabilities(document, name) });
         }
         
-        const progress = ((this.currentStage + 1) / this.sbomData.length) * 100;
-        progressFill.style.width = `${progress}%`;
+        let records = null;
+        if (Array.isArray(document)) {
+            records = document;
+        } else if (document && Array.isArray(document.vulns)) {
+            records = document.vulns;
+        } else if (document && Array.isArray(document.results)) {
+            records = [];
+            document.results.forEach(result => (result.packages || []).forEach(pkg => records.push(...(pkg.vulnerabilities || []))));
+        } else if (document && document.id && Array.isArray(document.affected)) {
+            records = [document];
+        }
+        if (!records || records.some(record => !record || typeof record.id !== 'string')) {
+            throw new Error(`${name} is neither an OSV export nor a CycloneDX VEX document`);
+        }
+        return this.indexVulnerabilitySource({ name, document, advisories: this.readOsvRecords(records, name), statements: [] });
     }
-
-    renderGraph() {
-        const container = document.getElementById('graphContainer');
+    
+    indexVulnerabilitySource(source) {
+        // Package key -> advisories/statements with a target for that package, built once per loaded source so
+        // matching a node only looks at its own package. CycloneDX targets without a purl are indexed by identity
+        const index = entries => {
+            const byKey = new Map();
+            entries.forEach(entry => entry.targets.forEach(target => {
+                const key = target.packageKey ? `package:${target.packageKey}` : `identity:${target.identity}`;
+                if (!byKey.has(key)) byKey.set(key, new Set());
+                byKey.get(key).add(entry);
+            }));
+            return byKey;
+        };
+        return { ...source, advisoryIndex: index(source.advisories), statementIndex: index(source.statements) };
+    }
+    
+    getIndexedVulnerabilities(index, info) {
+        // Entries that may match the node: those for its package and those naming the node itself
+        return new Set([
+            ...(info.packageKey && index.get(`package:${info.packageKey}`) || []),
+            ...(index.get(`identity:${info.identity}`) || [])
+        ]);
+    }
+    
+    readOsvRecords(records, source) {
+        return records.map(record => ({
+            id: record.id,
+            aliases: record.aliases || [],
+            summary: record.summary || record.details || '',
+            severity: this.getOsvSeverity(record),
+            source,
+            targets: (record.affected || []).map(affected => {
+                const pkg = affected.package || {};
+                return {
+                    kind: 'osv',
+                    packageKey: this.getOsvPackageKey(pkg),
+                    distro: this.getOsvDistro(pkg.ecosystem),
+                    versions: affected.versions || [],
+                    ranges: (affected.ranges || []).filter(range => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+                };
+            }).filter(target => target.packageKey)
+        }));
+    }
+    
+    getOsvPackageKey(pkg) {
+        if (pkg.purl) {
+            return this.getVulnerabilityPackageKey(this.parsePurl(pkg.purl));
+        }
         
-        // Clear existing graph
-        this.graphElements.forEach(el => el.remove());
-        this.graphElements = [];
+        // OSV ecosystems and the purl types they correspond to
+        const types = {
+            'npm': 'npm', 'PyPI': 'pypi', 'Maven': 'maven', 'Go': 'golang', 'crates.io': 'cargo', 'RubyGems': 'gem',
+            'NuGet': 'nuget', 'Packagist': 'composer', 'Hex': 'hex', 'Pub': 'pub', 'Debian': 'deb', 'Ubuntu': 'deb',
+            'Alpine': 'apk', 'Hackage': 'hackage', 'CRAN': 'cran', 'SwiftURL': 'swift'
+        };
+        const ecosystem = String(pkg.ecosystem || '').split(':')[0];
+        const type = types[ecosystem];
+        if (!type || !pkg.name) return null;
+        
+        // Distribution packages have the distribution as their purl namespace (pkg:deb/debian/openssl)
+        const distributions = this.getOsvDistributions();
+        if (distributions[ecosystem]) {
+            return this.getVulnerabilityPackageKey({ type, namespace: distributions[ecosystem], name: pkg.name });
+        }
+        
+        // Maven names are group:artifact; other ecosystems put the namespace before the last slash
+        const separator = type === 'maven' ? ':' : '/';
+        const index = pkg.name.lastIndexOf(separator);
+        return this.getVulnerabilityPackageKey({
+            type,
+            namespace: index > 0 ? pkg.name.slice(0, index) : null,
+            name: index > 0 ? pkg.name.slice(index + 1) : pkg.name
+        });
+    }
+    
+    getOsvDistributions() {
+        // OSV distribution ecosystems and their purl namespace
+        return { 'Debian': 'debian', 'Ubuntu': 'ubuntu', 'Alpine': 'alpine' };
+    }
+    
+    getOsvDistro(ecosystem) {
+        // The release of a distribution ecosystem ("Debian:12", "Alpine:v3.18") as purls name it in their distro
+        // qualifier ("debian-12", "alpine-3.18"); null when the ecosystem names no release
+        const [name, release] = String(ecosystem || '').split(':');
+        const namespace = this.getOsvDistributions()[name];
+        return namespace && release ? `${namespace}-${release.replace(/^v/i, '')}`.toLowerCase() : null;
+    }
+    
+    isSameDistroRelease(release, distro) {
+        // An advisory for one release only matches packages of that release; when either side doesn't say, it matches
+        if (!release || !distro) return true;
+        const codenames = {
+            'buster': 'debian-10', 'bullseye': 'debian-11', 'bookworm': 'debian-12', 'trixie': 'debian-13',
+            'focal': 'ubuntu-20.04', 'jammy': 'ubuntu-22.04', 'noble': 'ubuntu-24.04'
+        };
+        const value = codenames[distro.toLowerCase()] || distro.toLowerCase().replace(/-v(?=\d)/, '-');
+        // A point release (alpine-3.18.4) belongs to its release (alpine-3.18)
+        return value === release || value.startsWith(`${release}.`);
+    }
+    
+    getVulnerabilityPackageKey(purl) {
+        if (!purl) return null;
+        
+        // PyPI treats runs of "-", "_" and "." in names as the same character (PEP 503)
+        const name = String(purl.type).toLowerCase() === 'pypi' ? purl.name.replace(/[-_.]+/g, '-') : purl.name;
+        return `${purl.type}/${purl.namespace ? `${purl.namespace}/` : ''}${name}`.toLowerCase();
+    }
+    
+    readCycloneDxVulnerabilities(bom, source) {
+        // Findings become advisories; VEX statements that the product is not affected become suppressions
+        const components = new Map();
+        [bom.metadata && bom.metadata.component, ...(bom.components || [])].forEach(component => {
+            if (component && component['bom-ref']) components.set(component['bom-ref'], component);
+        });
+        
+        const advisories = [];
+        const statements = [];
+        bom.vulnerabilities.forEach(vulnerability => {
+            const targets = (vulnerability.affects || []).map(affect => ({
+                kind: 'cyclonedx',
+                ...this.resolveVulnerabilityRef(String(affect.ref || ''), components),
+                versions: affect.versions || []
+            }));
+            const entry = {
+                id: vulnerability.id || vulnerability['bom-ref'] || 'unnamed',
+                aliases: (vulnerability.references || []).map(reference => reference.id).filter(Boolean),
+                summary: vulnerability.description || vulnerability.detail || '',
+                severity: this.getRatingSeverity(vulnerability.ratings || []),
+                source,
+                targets
+            };
+            
+            const state = vulnerability.analysis && vulnerability.analysis.state;
+            if (state === 'not_affected' || state === 'false_positive') {
+                statements.push({ ...entry, reason: state });
+            } else {
+                advisories.push(entry);
+            }
+        });
+        return { advisories, statements };
+    }
+    
+    resolveVulnerabilityRef(ref, components) {
+        // A bom-ref of the document (also as urn:cdx:serial/version#bom-ref), a purl, or a bom-ref of an uploaded SBOM
+        const bomRef = ref.startsWith('urn:cdx:') && ref.includes('#') ? ref.slice(ref.indexOf('#') + 1) : ref;
+        let component = components.get(bomRef);
+        if (!component && !bomRef.startsWith('pkg:')) {
+            for (const sbom of this.getDisplayedSboms()) {
+                component = [sbom.metadata.component, ...sbom.components].find(candidate => candidate['bom-ref'] === bomRef);
+                if (component) break;
+            }
+        }
+        
+        const purl = this.parsePurl(component ? component.purl : bomRef);
+        return {
+            identity: component ? this.getComponentRef(component) : bomRef,
+            packageKey: this.getVulnerabilityPackageKey(purl),
+            version: purl ? purl.version : (component && component.version) || null
+        };
+    }
+    
+    getSeverityLevels() {
+        return ['critical', 'high', 'medium', 'low', 'unknown'];
+    }
+    
+    getSeverityForScore(score) {
+        if (typeof score !== 'number' || Number.isNaN(score)) return 'unknown';
+        return score >= 9 ? 'critical' : score >= 7 ? 'high' : score >= 4 ? 'medium' : 'low';
+    }
+    
+    getRatingSeverity(ratings) {
+        // The most severe of the ratings: their severity, else their score, else the score of their CVSS v3 vector
+        const severities = ratings.map(rating => {
+            const severity = String(rating.severity || '').toLowerCase();
+            if (['critical', 'high', 'medium', 'low'].includes(severity)) return severity;
+            if (severity === 'info' || severity === 'none') return 'low';
+            if (typeof rating.score === 'number') return this.getSeverityForScore(rating.score);
+            return this.getSeverityForScore(this.getCvssScore(rating.vector));
+        });
+        return this.getSeverityLevels().find(level => severities.includes(level)) || 'unknown';
+    }
+    
+    getOsvSeverity(record) {
+        // GitHub-style database severity first, then the CVSS v3 vectors
+        const named = [record.database_specific, ...(record.affected || []).map(affected => affected.database_specific),
+            ...(record.affected || []).map(affected => affected.ecosystem_specific)]
+            .map(data => data && data.severity)
+            .find(Boolean);
+        if (named) {
+            const severity = String(named).toLowerCase();
+            if (severity === 'moderate') return 'medium';
+            if (['critical', 'high', 'medium', 'low'].includes(severity)) return severity;
+        }
+        return this.getRatingSeverity((record.severity || []).map(entry => ({
+            score: /^\d+(\.\d+)?$/.test(String(entry.score)) ? Number(entry.score) : undefined,
+            vector: entry.score
+        })));
+    }
+    
+    getCvssScore(vector) {
+        // CVSS v3.x base score from its vector string; other versions give no score
+        const match = typeof vector === 'string' && vector.match(/^CVSS:3\.[01]\/(.*)$/);
+        if (!match) return NaN;
+        
+        const metrics = {};
+        match[1].split('/').forEach(part => {
+            const [key, value] = part.split(':');
+            metrics[key] = value;
+        });
+        const changed = metrics.S === 'C';
+        const weights = {
+            AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+            AC: { L: 0.77, H: 0.44 },
+            PR: { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 },
+            UI: { N: 0.85, R: 0.62 },
+            CIA: { H: 0.56, L: 0.22, N: 0 }
+        };
+        const [av, ac, pr, ui, c, i, a] = [weights.AV[metrics.AV], weights.AC[metrics.AC], weights.PR[metrics.PR],
+            weights.UI[metrics.UI], weights.CIA[metrics.C], weights.CIA[metrics.I], weights.CIA[metrics.A]];
+        if ([av, ac, pr, ui, c, i, a].some(value => value === undefined)) return NaN;
+        
+        const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+        const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+        if (impact <= 0) return 0;
+        const exploitability = 8.22 * av * ac * pr * ui;
+        const roundUp = value => Math.ceil(Math.round(value * 100000) / 10000) / 10;
+        return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+    }
+    
+    isVersionInOsvRange(version, range) {
+        // Events in version order: "introduced" opens an affected span, "fixed"/"limit" close it before and
+        // "last_affected" after the given version
+        const eventVersion = event => event.introduced || event.fixed || event.last_affected || event.limit;
+        const events = [...(range.events || [])].sort((a, b) => {
+            if (eventVersion(a) === '0') return -1;
+            if (eventVersion(b) === '0') return 1;
+            return this.compareVersions(eventVersion(a), eventVersion(b));
+        });
+        
+        let affected = false;
+        events.forEach(event => {
+            if (event.introduced !== undefined && (event.introduced === '0' || this.compareVersions(version, event.introduced) >= 0)) {
+                affected = true;
+            } else if (event.fixed !== undefined && this.compareVersions(version, event.fixed) >= 0) {
+                affected = false;
+            } else if (event.limit !== undefined && this.compareVersions(version, event.limit) >= 0) {
+                affected = false;
+            } else if (event.last_affected !== undefined && this.compareVersions(version, event.last_affected) > 0) {
+                affected = false;
+            }
+        });
+        return affected;
+    }
+    
+    isVersionInVers(version, vers) {
+        // vers:<type>/<constraint>|<constraint>... (e.g. vers:npm/>=1.0.0|<2.0.0), checked the way the vers spec describes
+        const match = typeof vers === 'string' && vers.match(/^vers:[^/]+\/(.*)$/);
+        if (!match) return false;
+        
+        const constraints = match[1].split('|').map(part => part.trim()).filter(Boolean).map(part => {
+            const [, comparator, value] = part.match(/^(>=|<=|!=|<|>|=)?(.*)$/);
+            return { comparator: comparator || '=', value: value.trim() };
+        });
+        if (constraints.some(constraint => constraint.value === '*')) return true;
+        
+        const compare = value => this.compareVersions(version, value);
+        if (constraints.some(constraint => constraint.comparator === '=' && compare(constraint.value) === 0)) return true;
+        if (constraints.some(constraint => constraint.comparator === '!=' && compare(constraint.value) === 0)) return false;
+        
+        const satisfies = ({ comparator, value }) => {
+            const result = compare(value);
+            return comparator === '<' ? result < 0 : comparator === '<=' ? result <= 0
+                : comparator === '>' ? result > 0 : result >= 0;
+        };
+        const ranges = constraints.filter(constraint => !['=', '!='].includes(constraint.comparator))
+            .sort((a, b) => this.compareVersions(a.value, b.value));
+        if (ranges.length === 0) return false;
+        
+        const isUpper = constraint => constraint.comparator.startsWith('<');
+        if (isUpper(ranges[0]) && satisfies(ranges[0])) return true;
+        if (!isUpper(ranges[ranges.length - 1]) && satisfies(ranges[ranges.length - 1])) return true;
+        for (let index = 0; index < ranges.length - 1; index++) {
+            const lower = ranges[index];
+            const upper = ranges[index + 1];
+            if (!isUpper(lower) && isUpper(upper) && satisfies(lower) && satisfies(upper)) return true;
+        }
+        return false;
+    }
+    
+    matchVulnerabilityTarget(target, info) {
+        // 'affected', 'unaffected' or null (the target is about something else)
+        if (target.kind === 'osv') {
+            if (target.packageKey !== info.packageKey || !info.version || !this.isSameDistroRelease(target.distro, info.distro)) {
+                return null;
+            }
+            if (target.versions.length === 0 && target.ranges.length === 0) return 'affected';
+            const affected = target.versions.some(version => this.compareVersions(version, info.version) === 0) ||
+                target.ranges.some(range => this.isVersionInOsvRange(info.version, range));
+            return affected ? 'affected' : null;
+        }
+        
+        const samePackage = target.packageKey ? target.packageKey === info.packageKey : target.identity === info.identity;
+        if (!samePackage) return null;
+        if (target.versions.length === 0) {
+            // Without a version list a purl target names one version (or every version when it has none)
+            return !target.packageKey || !target.version || (info.version && this.compareVersions(target.version, info.version) === 0)
+                ? 'affected'
+                : null;
+        }
+        if (!info.version) return null;
+        
+        const entry = target.versions.find(candidate => candidate.version
+            ? this.compareVersions(candidate.version, info.version) === 0
+            : this.isVersionInVers(info.version, candidate.range));
+        if (!entry) return null;
+        return entry.status === 'unaffected' ? 'unaffected' : 'affected';
+    }
+    
+    getVulnerabilitySources() {
+        // The loaded feeds plus, if wanted, the vulnerabilities sections of the displayed uploads
+        const sources = [...this.vulnerabilityFeeds];
+        if (this.includeSbomVulnerabilities) {
+            this.getDisplayedSboms().forEach((sbom, index) => {
+                if (Array.isArray(sbom.vulnerabilities) && sbom.vulnerabilities.length > 0) {
+                    sources.push(this.indexVulnerabilitySource(this.readCycloneDxVulnerabilities(sbom, `Stage ${index + 1}`)));
+                }
+            });
+        }
+        return sources;
+    }
+    
+    updateVulnerabilities() {
+        // Match every node of the graph on screen against the findings for its package, drop those a VEX statement rules out,
+        // then carry the most severe finding up to everything that depends on an affected node
+        this.vulnerabilityFindings = new Map();
+        this.vulnerabilityExposure = new Map();
+        if (this.showVulnerabilities) {
+            const sources = this.getVulnerabilitySources();
+            
+            this.getGraphNodes().forEach(node => {
+                const entry = this.componentRegistry.get(node);
+                const purl = this.parsePurl((entry && entry.attributes.purl) || node);
+                const version = (purl && purl.version) || (entry && entry.attributes.version) || null;
+                const info = {
+                    identity: node,
+                    packageKey: this.getVulnerabilityPackageKey(purl),
+                    // RPM purls carry the epoch as a qualifier instead of in the version
+                    version: version && purl && purl.qualifiers.epoch && !version.includes(':')
+                        ? `${purl.qualifiers.epoch}:${version}`
+                        : version,
+                    distro: (purl && purl.qualifiers.distro) || null
+                };
+                
+                const findings = new Map();
+                const notAffected = new Map();
+                const matches = (advisory, status) => advisory.targets.some(target => this.matchVulnerabilityTarget(target, info) === status);
+                const advisories = sources.flatMap(source => Array.from(this.getIndexedVulnerabilities(source.advisoryIndex, info)));
+                const statements = sources.flatMap(source => Array.from(this.getIndexedVulnerabilities(source.statementIndex, info)));
+                advisories.forEach(advisory => {
+                    if (matches(advisory, 'affected')) {
+                        // The same vulnerability from several sources is listed once, with its highest severity
+                        const existing = findings.get(advisory.id);
+                        const levels = this.getSeverityLevels();
+                        if (!existing || levels.indexOf(advisory.severity) < levels.indexOf(existing.severity)) {
+                            findings.set(advisory.id, { ...advisory, sources: existing ? [...existing.sources, advisory.source] : [advisory.source] });
+                        } else {
+                            existing.sources.push(advisory.source);
+                        }
+                    }
+                    if (matches(advisory, 'unaffected')) {
+                        [advisory.id, ...advisory.aliases].forEach(id => notAffected.set(id, `${advisory.source}: version not affected`));
+                    }
+                });
+                statements.forEach(statement => {
+                    if (statement.targets.some(target => this.matchVulnerabilityTarget(target, info) !== null)) {
+                        [statement.id, ...statement.aliases].forEach(id => notAffected.set(id, `${statement.source}: ${statement.reason}`));
+                    }
+                });
+                if (findings.size === 0) return;
+                
+                const result = { findings: [], suppressed: [] };
+                findings.forEach(finding => {
+                    const reason = [finding.id, ...finding.aliases].map(id => notAffected.get(id)).find(Boolean);
+                    if (reason) {
+                        result.suppressed.push({ ...finding, reason });
+                    } else {
+                        result.findings.push(finding);
+                    }
+                });
+                this.vulnerabilityFindings.set(node, result);
+            });
+            
+            // Most severe first, so each dependent keeps the worst severity that reaches it
+            const reverse = new Map();
+            this.dependencyGraph.forEach((deps, node) => deps.forEach(dep => {
+                if (!reverse.has(dep)) reverse.set(dep, []);
+                reverse.get(dep).push(node);
+            }));
+            this.getSeverityLevels().forEach(level => {
+                const stack = Array.from(this.vulnerabilityFindings)
+                    .filter(([, result]) => this.getNodeSeverity(result) === level)
+                    .map(([node]) => node);
+                while (stack.length > 0) {
+                    (reverse.get(stack.pop()) || []).forEach(dependent => {
+                        if (!this.vulnerabilityExposure.has(dependent)) {
+                            this.vulnerabilityExposure.set(dependent, level);
+                            stack.push(dependent);
+                        }
+                    });
+                }
+            });
+        }
+        this.updateVulnerabilityPanel();
+    }
+    
+    getNodeSeverity(result) {
+        // Most severe finding still in force; null when every finding was suppressed
+        const levels = this.getSeverityLevels();
+        return levels.find(level => result.findings.some(finding => finding.severity === level)) || null;
+    }
+    
+    toggleVulnerabilityOverlay() {
+        this.showVulnerabilities = !this.showVulnerabilities;
+        document.getElementById('vulnerabilitiesButton').classList.toggle('active', this.showVulnerabilities);
+        this.refreshVulnerabilities();
+    }
+    
+    refreshVulnerabilities() {
+        this.updateVulnerabilities();
+        this.drawGraph();
+    }
+    
+    async loadVulnerabilityFeeds(files) {
+        for (const file of Array.from(files)) {
+            try {
+                this.vulnerabilityFeeds.push(this.readVulnerabilityFeed(await file.text(), file.name));
+            } catch (error) {
+                console.error('Error loading vulnerability feed:', error);
+                this.showNotification('Feed Not Loaded', error.message);
+            }
+        }
+        this.refreshVulnerabilities();
+        this.scheduleSessionSave();
+    }
+    
+    removeVulnerabilityFeed(index) {
+        this.vulnerabilityFeeds.splice(index, 1);
+        this.refreshVulnerabilities();
+        this.scheduleSessionSave();
+    }
+    
+    updateVulnerabilityPanel() {
+        const vulnerabilityList = document.getElementById('vulnerabilityList');
+        if (!vulnerabilityList) return;
+        
+        const panel = vulnerabilityList.closest('.graph-panel');
+        panel.classList.toggle('active', this.showVulnerabilities);
+        if (!this.showVulnerabilities) return;
+        
+        document.getElementById('vulnerabilityFeeds').innerHTML = this.vulnerabilityFeeds.map((feed, index) => `
+            <div class="vulnerability-feed">
+                <span>${this.escapeHtml(feed.name)} (${feed.advisories.length + feed.statements.length})</span>
+                <button class="vulnerability-feed-remove" data-feed-index="${index}" title="Remove this feed">&times;</button>
+            </div>
+        `).join('');
+        
+        const levels = this.getSeverityLevels();
+        const affected = Array.from(this.vulnerabilityFindings)
+            .map(([node, result]) => ({ node, result, severity: this.getNodeSeverity(result) }))
+            .sort((a, b) => (a.severity ? levels.indexOf(a.severity) : levels.length) -
+                (b.severity ? levels.indexOf(b.severity) : levels.length) || a.node.localeCompare(b.node));
+        const counts = levels.map(level => [level, affected.filter(item => item.severity === level).length]).filter(([, count]) => count > 0);
+        const suppressedCount = affected.reduce((sum, item) => sum + item.result.suppressed.length, 0);
         
-        if (this.dependencyGraph.size === 0) return;
+        document.getElementById('vulnerabilitySummary').textContent = affected.length === 0
+            ? (this.getVulnerabilitySources().length === 0 ? 'Load an OSV or CycloneDX VEX file' : 'No component of the graph is affected')
+            : `${counts.map(([level, count]) => `${count} ${level}`).join(', ') || 'no findings in force'}; ` +
+              `${this.vulnerabilityExposure.size} exposed dependents${suppressedCount > 0 ? `; ${suppressedCount} not affected (VEX)` : ''}`;
+        vulnerabilityList.innerHTML = affected.map(({ node, result, severity }) => `
+            <div class="vulnerability-item severity-${severity || 'suppressed'}" data-node="${this.escapeHtml(node)}">
+                <div class="vulnerability-node">${this.escapeHtml(node)}</div>
+                ${result.findings.map(finding => `<div class="vulnerability-finding">${finding.severity.toUpperCase()} ${this.escapeHtml(finding.id)}</div>`).join('')}
+                ${result.suppressed.map(finding => `<div class="vulnerability-finding suppressed" title="${this.escapeHtml(finding.reason)}">${this.escapeHtml(finding.id)} (not affected)</div>`).join('')}
+            </div>
+        `).join('');
+    }
+    
+    updateCyclePanel() {
+        const cycleList = document.getElementById('cycleList');
+        if (!cycleList) return;
         
-        // Calculate node positions
-        this.calculateNodePositions();
+        const panel = cycleList.closest('.graph-panel');
+        if (this.focusedCycle !== null && this.focusedCycle >= this.dependencyCycles.length) {
+            this.focusedCycle = null;
+        }
         
-        // Render edges first (so they appear behind nodes)
-        this.renderEdges(container);
+        if (this.dependencyCycles.length === 0) {
+            panel.classList.remove('active');
+            cycleList.innerHTML = '';
+            return;
+        }
         
-        // Render nodes
-        this.renderNodes(container);
-    }
-
-    calculateNodePositions() {
-        const container = document.getElementById('graphContainer');
-        const containerRect = container.getBoundingClientRect();
-        const width = containerRect.width - 100;
-        const height = containerRect.height - 100;
+        panel.classList.add('active');
+        cycleList.innerHTML = this.dependencyCycles.map((cycle, index) => {
+            const path = this.getCyclePath(this.cycleGraphs[index], cycle);
+            const extra = cycle.length - (path.length - 1);
+            return `
+                <div class="cycle-item${index === this.focusedCycle ? ' active' : ''}" data-cycle="${index}">
+                    <div class="cycle-size">${cycle.length} node${cycle.length === 1 ? '' : 's'}</div>
+                    <div class="cycle-path">${path.map(node => this.escapeHtml(node)).join(' → ')}${extra > 0 ? ` (+${extra} more)` : ''}</div>
+                </div>
+            `;
+        }).join('');
         
-        const allNodes = new Set();
-        this.dependencyGraph.forEach((deps, node) => {
-            allNodes.add(node);
-            deps.forEach(dep => allNodes.add(dep));
+        // Clicking a cycle marks its nodes and centers the graph on them
+        cycleList.querySelectorAll('.cycle-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const index = Number(item.dataset.cycle);
+                this.focusedCycle = this.focusedCycle === index ? null : index;
+                cycleList.querySelectorAll('.cycle-item').forEach(other => {
+                    other.classList.toggle('active', Number(other.dataset.cycle) === this.focusedCycle);
+                });
+                
+                if (this.focusedCycle !== null) {
+                    const positions = this.dependencyCycles[index].map(node => this.nodePositions.get(node)).filter(Boolean);
+                    if (positions.length > 0) {
+                        this.centerGraphOn(
+                            positions.reduce((sum, pos) => sum + pos.x, 0) / positions.length,
+                            positions.reduce((sum, pos) => sum + pos.y, 0) / positions.length
+                        );
+                    }
+                }
+                // Centering only moves the view; the focused cycle is styled when the graph is drawn
+                this.scheduleGraphRender();
+            });
         });
+    }
+    
+    updateIntegrityPanel() {
+        const integrityList = document.getElementById('integrityList');
+        if (!integrityList) return;
         
-        const levels = this.calculateNodeLevels();
-        const nodesByLevel = new Map();
+        const panel = integrityList.closest('.graph-panel');
+        if (this.integrityIssues.size === 0) {
+            panel.classList.remove('active');
+            integrityList.innerHTML = '';
+            return;
+        }
         
-        levels.forEach((level, node) => {
-            if (!nodesByLevel.has(level)) {
-                nodesByLevel.set(level, []);
-            }
-            nodesByLevel.get(level).push(node);
-        });
+        const labels = { dangling: 'Dangling reference', orphan: 'Orphan component', mismatch: 'bom-ref/purl mismatch' };
+        const items = [];
+        this.integrityIssues.forEach((issues, node) => issues.forEach(issue => items.push({ node, ...issue })));
+        const order = ['dangling', 'mismatch', 'orphan'];
+        items.sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind));
         
-        const maxLevel = Math.max(...levels.values());
-        const levelHeight = height / (maxLevel + 1);
+        panel.classList.add('active');
+        integrityList.innerHTML = items.map(item => `
+            <div class="integrity-item integrity-${item.kind}" data-node="${this.escapeHtml(item.node)}">
+                <div class="integrity-kind">${labels[item.kind]}: ${this.escapeHtml(item.node)}</div>
+                <div class="integrity-message">${this.escapeHtml(item.message)}</div>
+            </div>
+        `).join('');
         
-        nodesByLevel.forEach((nodes, level) => {
-            const y = 50 + level * levelHeight;
-            const spacing = width / (nodes.length + 1);
-            
-            nodes.forEach((node, index) => {
-                const x = 50 + (index + 1) * spacing;
-                this.nodePositions.set(node, { x, y });
+        // Clicking an issue centers the graph on its node (orphans that are not in the graph have no position)
+        integrityList.querySelectorAll('.integrity-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const pos = this.nodePositions.get(item.dataset.node);
+                if (pos) {
+                    this.centerGraphOn(pos.x, pos.y);
+                }
             });
         });
     }
-
-    getComponentTagClass(componentRef, currentSbom = null) {
-        if (currentSbom) {
-            // Check if it's the root component (from metadata)
-            if (currentSbom.metadata.component.purl === componentRef ||
-                currentSbom.metadata.component['bom-ref'] === componentRef) {
-                return 'component-tag';
-            }
-
-            return 'dependency-tag';
+    
+    toggleProvenancePanel() {
+        this.showProvenance = !this.showProvenance;
+        document.getElementById('provenanceButton').classList.toggle('active', this.showProvenance);
+        
+        // Closing the panel also drops its edge filter
+        if (!this.showProvenance && this.provenanceFilter !== null) {
+            this.setProvenanceFilter(null);
+        } else {
+            this.updateProvenancePanel();
         }
-
-        for (const sbom of this.uploadedSboms) {
-            console.log(componentRef, sbom.metadata.component.purl);
-            if (sbom.metadata.component.purl === componentRef ||
-                sbom.metadata.component['bom-ref'] === componentRef) {
-                return 'component-tag';
-            }
+    }
+    
+    setProvenanceFilter(sbomIndex) {
+        this.provenanceFilter = sbomIndex;
+        this.updateProvenancePanel();
+        this.drawGraph();
+    }
+    
+    getDisplayedSboms() {
+        // The uploads behind the graph on screen (their indices are the stage indices of its provenance)
+        if (this.replayPreview) {
+            return this.replayPreview.sboms;
         }
-
-        return 'dependency-tag';
+        if (this.compareMode) {
+            const sbomCount = Math.max(this.historyStates[this.compareFrom].sbomCount, this.historyStates[this.compareTo].sbomCount);
+            return this.uploadedSboms.slice(0, sbomCount);
+        }
+        return this.getDisplayedState().sboms;
     }
-
-
-
-    calculateNodeLevels() {
-        const levels = new Map();
-        const visited = new Set();
+    
+    updateProvenancePanel() {
+        const provenanceList = document.getElementById('provenanceList');
+        const filterSelect = document.getElementById('provenanceFilterSelect');
+        if (!provenanceList || !filterSelect) return;
         
-        const hasIncoming = new Set();
-        this.dependencyGraph.forEach(deps => {
-            deps.forEach(dep => hasIncoming.add(dep));
-        });
+        const sboms = this.getDisplayedSboms();
+        if (this.provenanceFilter !== null && this.provenanceFilter >= sboms.length) {
+            this.provenanceFilter = null;
+        }
         
-        const roots = [];
-        this.dependencyGraph.forEach((_, node) => {
-            if (!hasIncoming.has(node)) {
-                roots.push(node);
-            }
+        const panel = provenanceList.closest('.graph-panel');
+        panel.classList.toggle('active', this.showProvenance);
+        if (!this.showProvenance) return;
+        
+        // Count what each upload contributed to the graph on screen, and which edges it removed
+        const graphNodes = this.getGraphNodes();
+        const stats = sboms.map(() => ({ nodes: 0, edges: 0, removed: 0 }));
+        this.provenance.nodes.forEach((source, node) => {
+            if (graphNodes.has(node) && stats[source.sbomIndex]) stats[source.sbomIndex].nodes++;
+        });
+        this.provenance.edges.forEach(record => {
+            if (record.addedBy && !record.removedBy && stats[record.addedBy.sbomIndex]) stats[record.addedBy.sbomIndex].edges++;
+            if (record.removedBy && stats[record.removedBy.sbomIndex]) stats[record.removedBy.sbomIndex].removed++;
         });
         
-        const queue = roots.map(root => ({ node: root, level: 0 }));
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        filterSelect.innerHTML = `<option value="">All uploads</option>` + sboms.map((sbom, index) => `
+            <option value="${index}">Stage ${index + 1}: ${this.escapeHtml(this.getComponentRef(sbom.metadata.component))}</option>
+        `).join('');
+        filterSelect.value = this.provenanceFilter === null ? '' : String(this.provenanceFilter);
         
-        while (queue.length > 0) {
-            const { node, level } = queue.shift();
-            
-            if (visited.has(node)) continue;
-            visited.add(node);
-            levels.set(node, level);
-            
-            const dependencies = this.dependencyGraph.get(node) || [];
-            dependencies.forEach(dep => {
-                if (!visited.has(dep)) {
-                    queue.push({ node: dep, level: level + 1 });
-                }
-            });
+        provenanceList.innerHTML = sboms.map((sbom, index) => `
+            <div class="provenance-item${index === this.provenanceFilter ? ' active' : ''}" data-sbom-index="${index}">
+                <div class="provenance-source">Stage ${index + 1}: ${this.escapeHtml(this.getComponentRef(sbom.metadata.component))}</div>
+                <div class="provenance-counts">Added ${plural(stats[index].nodes, 'node')} and ${plural(stats[index].edges, 'edge')}${stats[index].removed > 0 ? `, removed ${plural(stats[index].removed, 'edge')}` : ''}</div>
+            </div>
+        `).join('') || '<div class="provenance-counts">No SBOMs uploaded</div>';
+    }
+    
+    drawMinimap() {
+        const minimap = document.getElementById('graphMinimap');
+        const context = minimap && minimap.getContext ? minimap.getContext('2d') : null;
+        if (!context) return;
+        
+        context.clearRect(0, 0, minimap.width, minimap.height);
+        const bounds = this.getGraphBounds();
+        if (!bounds) {
+            minimap.classList.remove('active');
+            this.minimapTransform = null;
+            return;
         }
+        minimap.classList.add('active');
         
-        this.dependencyGraph.forEach((_, node) => {
-            if (!levels.has(node)) {
-                levels.set(node, 0);
-            }
+        // Scale the whole graph into the minimap, centered
+        const padding = 6;
+        const scale = Math.min(
+            (minimap.width - padding * 2) / Math.max(bounds.width, 1),
+            (minimap.height - padding * 2) / Math.max(bounds.height, 1)
+        );
+        const offsetX = (minimap.width - bounds.width * scale) / 2 - bounds.x * scale;
+        const offsetY = (minimap.height - bounds.height * scale) / 2 - bounds.y * scale;
+        this.minimapTransform = { scale, offsetX, offsetY };
+        const toMinimap = (x, y) => [offsetX + x * scale, offsetY + y * scale];
+        
+        context.strokeStyle = 'rgba(41, 128, 185, 0.35)';
+        context.lineWidth = 1;
+        context.beginPath();
+        this.dependencyGraph.forEach((deps, node) => {
+            const from = this.nodePositions.get(node);
+            if (!from) return;
+            deps.forEach(dep => {
+                const to = this.nodePositions.get(dep);
+                if (!to) return;
+                context.moveTo(...toMinimap(from.x, from.y));
+                context.lineTo(...toMinimap(to.x, to.y));
+            });
         });
+        context.stroke();
         
-        return levels;
-    }
-
-    renderNodes(container) {
-        // Log the nodes that will be rendered
-        console.log('Rendering nodes:', Array.from(this.nodePositions.keys()));
+        const mainComponents = this.getMainComponents();
+        const highlightedNodes = this.getHighlightedNodes();
+        this.nodePositions.forEach((pos, node) => {
+            const size = this.nodeSizes.get(node);
+            const [x, y] = toMinimap(pos.x - size.width / 2, pos.y - size.height / 2);
+            context.fillStyle = highlightedNodes.has(node) ? '#ff6b35' : mainComponents.has(node) ? '#e74c3c' : '#27ae60';
+            context.fillRect(x, y, Math.max(size.width * scale, 2), Math.max(size.height * scale, 2));
+        });
         
-        // Collect only metadata components (these should be red)
+        // The current viewport on top of the whole graph
+        const viewport = this.getGraphViewport();
+        const [viewX, viewY] = toMinimap(viewport.x, viewport.y);
+        context.strokeStyle = '#2c3e50';
+        context.lineWidth = 2;
+        context.strokeRect(viewX, viewY, viewport.width * scale, viewport.height * scale);
+    }
+    
+    getMainComponents(sboms = this.uploadedSboms) {
         const mainComponents = new Set();
         
         // Add only components from metadata sections
-        this.uploadedSboms.forEach(sbom => {
-            if (sbom.metadata && sbom.metadata.component && sbom.metadata.component.purl) {
-                mainComponents.add(sbom.metadata.component.purl);
+        sboms.forEach(sbom => {
+            if (sbom.metadata && sbom.metadata.component && this.getComponentRef(sbom.metadata.component)) {
+                mainComponents.add(this.getComponentRef(sbom.metadata.component));
             }
         });
         
-        console.log('Main components (metadata only):', Array.from(mainComponents));
-        
-        this.nodePositions.forEach((pos, node) => {
-            const nodeEl = document.createElement('div');
-            nodeEl.className = 'node';
-            nodeEl.textContent = node;
-            nodeEl.style.left = `${pos.x}px`;
-            nodeEl.style.top = `${pos.y}px`;
-            nodeEl.style.transform = 'translate(-50%, -50%)';
-            
-            // Color main components red, all others green
-            if (mainComponents.has(node)) {
-                nodeEl.classList.add('main-component');
-            } else {
-                nodeEl.classList.add('other-component');
-            }
-            
-            nodeEl.addEventListener('mouseenter', (e) => this.showTooltip(e, node));
-            nodeEl.addEventListener('mouseleave', () => this.hideTooltip());
-            
-            container.appendChild(nodeEl);
-            this.graphElements.push(nodeEl);
-        });
-    }
-
-    renderEdges(container) {
-        this.dependencyGraph.forEach((deps, node) => {
-            const nodePos = this.nodePositions.get(node);
-            if (!nodePos) return;
-            
-            deps.forEach(dep => {
-                const depPos = this.nodePositions.get(dep);
-                if (!depPos) return;
-                
-                const edge = this.createEdge(nodePos, depPos);
-                container.appendChild(edge);
-                this.graphElements.push(edge);
-            });
-        });
-    }
-
-    createEdge(from, to) {
-        const edge = document.createElement('div');
-        edge.className = 'edge';
-
-        const dx = to.x - from.x;
-        const dy = to.y - from.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const angle = Math.atan2(dy, dx) * 180 / Math.PI;
-
-        // Estimate node radius - using a fixed value for simplicity
-        // This could be improved by dynamically calculating based on node content
-        const nodeRadius = 30; // Approximate radius based on CSS (border-radius + padding)
-
-        // Calculate unit vector in the direction from source to target
-        const unitX = dx / distance;
-        const unitY = dy / distance;
-
-        // Calculate new starting point at the edge of the source node
-        const startX = from.x + (unitX * nodeRadius);
-        const startY = from.y + (unitY * nodeRadius);
-
-        // Adjust length to stop at the edge of the target node
-        // Subtract both nodes' radii from the total distance
-        const length = Math.max(distance - (2 * nodeRadius) -10, 0);
-
-        edge.style.left = `${startX}px`;
-        edge.style.top = `${startY}px`;
-        edge.style.width = `${length}px`;
-        edge.style.transform = `rotate(${angle}deg)`;
-
-        return edge;
+        return mainComponents;
     }
 
     animateGraphUpdate() {
-        // Check if data is loaded and we have a valid current stage
-        if (this.sbomData.length === 0 || this.currentStage < 0 || this.currentStage >= this.sbomData.length) {
+        // Compare with the state before the latest upload to find what is new
+        const previousState = this.historyStates[this.historyPosition - 1];
+        if (!previousState) {
             return;
         }
         
-        // Get nodes that were just added in this stage
-        const currentSbom = this.sbomData[this.currentStage];
-        
-        // Track which nodes existed before this stage
+        const previousGraph = previousState.dependencyGraph;
         const previousNodes = new Set();
-        for (let i = 0; i < this.currentStage; i++) {
-            const prevSbom = this.sbomData[i];
-            previousNodes.add(prevSbom.metadata.component.purl);
-            prevSbom.components.forEach(c => previousNodes.add(c.purl));
-        }
-        
-        // Only get truly new nodes (not in previous stages)
-        const newNodeNames = [currentSbom.metadata.component.purl, ...currentSbom.components.map(c => c.purl)]
-            .filter(name => !previousNodes.has(name));
+        previousGraph.forEach((deps, node) => {
+            previousNodes.add(node);
+            deps.forEach(dep => previousNodes.add(dep));
+        });
         
-        const nodes = document.querySelectorAll('.node');
-        const newNodes = Array.from(nodes).filter(node => newNodeNames.includes(node.textContent));
+        // Only get truly new nodes (not in the previous state)
+        const newNodes = Array.from(document.querySelectorAll('#graphContainer .node'))
+            .filter(node => !previousNodes.has(node.dataset.node))
+            .map(node => node.querySelector('.node-body'));
 
         // Set initial state and animate only new nodes
         if (newNodes.length > 0) {
             // Set initial invisible state
             newNodes.forEach(node => {
-                node.style.transform += ' scale(0)';
+                node.style.transform = 'scale(0)';
                 node.style.opacity = '0';
             });
             
@@ -1384,14 +6616,14 @@ class SBOMVisualizer {
             });
         }
         
-        // Animate only the new edges
-        const edges = document.querySelectorAll('.edge');
-        const newEdges = Array.from(edges).slice(-currentSbom.dependencies.length);
+        // Animate only the new edges, drawing each one from its source towards its target
+        const newEdges = Array.from(document.querySelectorAll('#graphContainer .edge:not(.version-link)'))
+            .filter(edge => !(previousGraph.get(edge.dataset.from) || []).includes(edge.dataset.to));
         
         if (newEdges.length > 0) {
             anime({
                 targets: newEdges,
-                scaleX: [0, 1],
+                strokeDashoffset: [anime.setDashoffset, 0],
                 opacity: [0, 0.8],
                 duration: 600,
                 delay: 400,
@@ -1403,10 +6635,32 @@ class SBOMVisualizer {
     showTooltip(event, node) {
         const tooltip = document.getElementById('tooltip');
         const deps = this.dependencyGraph.get(node) || [];
+        const entry = this.componentRegistry.get(node);
+        const attributes = entry ? this.getComponentAttributeList(entry.attributes) : [];
+        const versionChange = this.versionChanges.get(node);
+        const addedBy = this.provenance.nodes.get(node);
+        const edgeSource = dep => {
+            const record = this.provenance.edges.get(this.getEdgeKey(node, dep));
+            return record && record.addedBy ? ` [Stage ${record.addedBy.sbomIndex + 1}]` : '';
+        };
+        const removedDeps = Array.from(this.provenance.edges.values())
+            .filter(record => record.from === node && record.removedBy && !deps.includes(record.to));
         
         tooltip.innerHTML = `
             <strong>${node}</strong><br>
-            ${deps.length > 0 ? `Dependencies: ${deps.join(', ')}` : 'No dependencies'}
+            ${entry && entry.attributes.name && entry.attributes.name !== node ? `Name: ${this.escapeHtml(entry.attributes.name)}<br>` : ''}
+            ${attributes.map(([label, value]) => `${label}: ${this.escapeHtml(value)}<br>`).join('')}
+            ${entry ? `Seen in ${entry.sources.length} SBOM${entry.sources.length === 1 ? '' : 's'}<br>` : ''}
+            ${this.compareDiff ? this.getCompareTooltip(node) : ''}
+            ${(this.integrityIssues.get(node) || []).map(issue => `⚠ ${this.escapeHtml(issue.message)}<br>`).join('')}
+            ${this.getVulnerabilityTooltip(node)}
+            ${this.cycleMembership.has(node) ? `Part of a dependency cycle (${this.dependencyCycles[this.cycleMembership.get(node)].length} nodes)<br>` : ''}
+            ${versionChange ? `${versionChange.direction === 'upgrade' ? 'Upgraded' : versionChange.direction === 'downgrade' ? 'Downgraded' : 'Rebuilt'} from ${versionChange.fromVersion} (${versionChange.packageKey})<br>` : ''}
+            ${addedBy ? `Added by ${this.escapeHtml(this.describeProvenanceSource(addedBy))}<br>` : ''}
+            ${this.collapsedCounts.has(node) ? `Collapsed: ${this.collapsedCounts.get(node)} node${this.collapsedCounts.get(node) === 1 ? '' : 's'} hidden<br>` : ''}
+            ${this.impactHops && this.impactHops.has(node) && node !== this.impactNode ? `Impact: ${this.impactHops.get(node)} hop${this.impactHops.get(node) === 1 ? '' : 's'} ${this.impactDirection === 'dependents' ? 'above' : 'below'} ${this.escapeHtml(this.impactNode)}<br>` : ''}
+            ${deps.length > 0 ? `Dependencies: ${deps.map(dep => `${this.escapeHtml(dep)}${edgeSource(dep)}`).join(', ')}` : 'No dependencies'}
+            ${removedDeps.map(record => `<br>Removed: ${this.escapeHtml(record.to)} (added by ${record.addedBy ? `Stage ${record.addedBy.sbomIndex + 1}` : 'unknown'}, removed by ${this.escapeHtml(this.describeProvenanceSource(record.removedBy))})`).join('')}
         `;
         
         tooltip.style.left = `${event.pageX + 10}px`;
@@ -1414,6 +6668,23 @@ class SBOMVisualizer {
         tooltip.style.opacity = '1';
     }
 
+    getVulnerabilityTooltip(node) {
+        const result = this.vulnerabilityFindings.get(node);
+        const exposure = this.vulnerabilityExposure.get(node);
+        return `${result ? result.findings.map(finding => `☣ ${finding.severity.toUpperCase()} ${this.escapeHtml(finding.id)}${finding.summary ? `: ${this.escapeHtml(finding.summary.slice(0, 120))}` : ''} (${this.escapeHtml(finding.sources.join(', '))})<br>`).join('') : ''}
+            ${result ? result.suppressed.map(finding => `Not affected by ${this.escapeHtml(finding.id)} (${this.escapeHtml(finding.reason)})<br>`).join('') : ''}
+            ${exposure && !(result && this.getNodeSeverity(result)) ? `Exposed to a ${exposure} vulnerability through its dependencies<br>` : ''}`;
+    }
+    
+    getCompareTooltip(node) {
+        const status = this.compareDiff.nodes.get(node);
+        const change = this.compareDiff.dependencyChanges.get(node);
+        const labels = { added: 'Added', removed: 'Removed', changed: 'Dependencies changed', unchanged: 'Unchanged' };
+        return `Compare: ${labels[status]}<br>
+            ${change && change.added.length > 0 ? `+ ${change.added.map(dep => this.escapeHtml(dep)).join(', ')}<br>` : ''}
+            ${change && change.removed.length > 0 ? `− ${change.removed.map(dep => this.escapeHtml(dep)).join(', ')}<br>` : ''}`;
+    }
+    
     hideTooltip() {
         const tooltip = document.getElementById('tooltip');
         tooltip.style.opacity = '0';
@@ -1437,16 +6708,16 @@ class SBOMVisualizer {
             clickedItem.classList.add('active');
             
             const relevantNodes = [
-                sbom.metadata.component.purl, 
-                ...sbom.components.map(c => c.purl)
+                this.getComponentRef(sbom.metadata.component), 
+                ...sbom.components.map(c => this.getComponentRef(c))
             ];
     
             // Highlight relevant nodes with CSS class and animation
-            document.querySelectorAll('.node').forEach(node => {
-                if (relevantNodes.includes(node.textContent)) {
+            document.querySelectorAll('#graphContainer .node').forEach(node => {
+                if (relevantNodes.includes(node.dataset.node)) {
                     node.classList.add('highlighted');
                     anime({
-                        targets: node,
+                        targets: node.querySelector('.node-body'),
                         scale: [1, 1.4, 1.15],
                         duration: 1000,
                         easing: 'easeOutElastic(1, .8)'
@@ -1454,38 +6725,505 @@ class SBOMVisualizer {
                 }
             });
         }
+        
+        this.scheduleSessionSave();
     }
     
-    refreshNodeHighlights() {
-        // Clear all node highlights
-        document.querySelectorAll('.node').forEach(node => {
-            node.classList.remove('highlighted');
-        });
-        
-        // If there are no highlighted SBOMs, we're done
-        if (this.highlightedSboms.size === 0) {
-            return;
-        }
-        
+    getHighlightedNodes() {
         // Get all nodes that should be highlighted based on the highlighted SBOMs
         const nodesToHighlight = new Set();
         
         this.highlightedSboms.forEach(index => {
             const sbom = this.uploadedSboms[index];
+            if (!sbom) return;
+            
             const relevantNodes = [
-                sbom.metadata.component.purl, 
-                ...sbom.components.map(c => c.purl)
+                this.getComponentRef(sbom.metadata.component), 
+                ...sbom.components.map(c => this.getComponentRef(c))
             ];
             
             relevantNodes.forEach(node => nodesToHighlight.add(node));
         });
         
-        // Highlight the nodes
-        document.querySelectorAll('.node').forEach(node => {
-            if (nodesToHighlight.has(node.textContent)) {
+        return nodesToHighlight;
+    }
+    
+    refreshNodeHighlights() {
+        const nodesToHighlight = this.getHighlightedNodes();
+        
+        document.querySelectorAll('#graphContainer .node').forEach(node => {
+            if (nodesToHighlight.has(node.dataset.node)) {
                 node.classList.add('highlighted');
+            } else {
+                // Drop the highlight and the enlarged scale left behind by the highlight animation
+                node.classList.remove('highlighted');
+                node.querySelector('.node-body').style.transform = '';
+            }
+        });
+    }
+    
+    getDisplayedState() {
+        // The state being looked at: current or historical, never the union drawn in compare mode
+        const state = this._diffSavedState || this;
+        const sbomCount = this.viewingHistory && this.historyStates[this.historyPosition]
+            ? this.historyStates[this.historyPosition].sbomCount
+            : this.uploadedSboms.length;
+        
+        return {
+            dependencyGraph: state.dependencyGraph,
+            componentRegistry: state.componentRegistry,
+            versionChanges: state.versionChanges,
+            provenance: state.provenance,
+            sboms: this.uploadedSboms.slice(0, sbomCount)
+        };
+    }
+    
+    buildMergedSbom() {
+        const { dependencyGraph, componentRegistry, sboms } = this.getDisplayedState();
+        
+        // The active filter decides which nodes (and edges between them) are exported
+        const nodes = this.getExportNodes() || new Set(dependencyGraph.keys());
+        if (!this.getActiveFilter()) {
+            dependencyGraph.forEach(deps => deps.forEach(dep => nodes.add(dep)));
+        }
+        
+        // Every node becomes a component with the attributes kept in the registry; its identity is its bom-ref.
+        // The registry holds whatever the uploads contained (1.6 or SPDX fields too), so only 1.5 fields are copied
+        const fields = ['type', 'mime-type', 'supplier', 'author', 'publisher', 'group', 'name', 'version', 'description',
+            'scope', 'hashes', 'licenses', 'copyright', 'cpe', 'purl', 'swid', 'modified', 'pedigree', 'externalReferences',
+            'evidence', 'releaseNotes', 'modelCard', 'data', 'properties'];
+        const components = Array.from(nodes).map(node => {
+            const entry = componentRegistry.get(node);
+            const attributes = {};
+            fields.forEach(field => {
+                if (entry && entry.attributes[field] !== undefined) {
+                    attributes[field] = JSON.parse(JSON.stringify(entry.attributes[field]));
+                }
+            });
+            
+            // Licenses without an id, name or expression (e.g. empty <license/> elements in XML) are left out
+            if (Array.isArray(attributes.licenses)) {
+                attributes.licenses = attributes.licenses.filter(choice => choice && (choice.expression ||
+                    (choice.license && (choice.license.id || choice.license.name))));
+                if (attributes.licenses.length === 0) delete attributes.licenses;
+            }
+            const purl = this.parsePurl(node);
+            return {
+                ...attributes,
+                type: attributes.type || 'library',
+                name: attributes.name || (purl ? purl.name : node),
+                'bom-ref': node
+            };
+        });
+        
+        const serialNumber = window.crypto && window.crypto.randomUUID
+            ? window.crypto.randomUUID()
+            : 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+                const random = Math.random() * 16 | 0;
+                return (c === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+            });
+        
+        // The merged graph itself is the main component and depends on the nodes nothing else depends on,
+        // so the document can be uploaded again
+        const rootRef = 'sbom-visualizer:merged-graph';
+        const dependedOn = new Set();
+        nodes.forEach(node => (dependencyGraph.get(node) || []).forEach(dep => dependedOn.add(dep)));
+        
+        return {
+            $schema: 'http://cyclonedx.org/schema/bom-1.5.schema.json',
+            bomFormat: 'CycloneDX',
+            specVersion: '1.5',
+            serialNumber: `urn:uuid:${serialNumber}`,
+            version: 1,
+            metadata: {
+                timestamp: new Date().toISOString(),
+                tools: {
+                    components: [{ type: 'application', name: 'SBOM Visualizer' }]
+                },
+                component: { type: 'application', name: 'Merged dependency graph', 'bom-ref': rootRef },
+                // One property per source SBOM, in upload order
+                properties: sboms.map((sbom, index) => ({
+                    name: 'sbom-visualizer:source',
+                    value: `${index + 1}. ${this.getComponentRef(sbom.metadata.component)}` +
+                        `${sbom.sourceName ? ` (${sbom.sourceName})` : ''}` +
+                        ` ${sbom.bomFormat} ${sbom.specVersion}${sbom.forceMode ? ', Force Mode' : ''}`
+                })).concat(this.getActiveFilter() ? [{ name: 'sbom-visualizer:filter', value: this.activeFilterName }] : [])
+            },
+            components,
+            dependencies: [{ ref: rootRef, dependsOn: Array.from(nodes).filter(node => !dependedOn.has(node)) }]
+                .concat(Array.from(nodes).map(node => ({
+                    ref: node,
+                    dependsOn: (dependencyGraph.get(node) || []).filter(dep => nodes.has(dep))
+                })))
+        };
+    }
+    
+    async downloadMergedSbom() {
+        const bom = this.buildMergedSbom();
+        
+        // Component values that break the bundled 1.5 schema (e.g. a type only 1.6 knows or a license id that is not
+        // an SPDX id) are adjusted one by one, so the download passes strict validation when it is uploaded again
+        const changes = [];
+        try {
+            for (let pass = 0; pass < 3; pass++) {
+                const issues = await this.validateSbomSchema(bom);
+                if (issues.length === 0 || !this.fixMergedSbomIssues(bom, issues, changes)) break;
+            }
+            const remaining = await this.validateSbomSchema(bom);
+            if (remaining.length > 0) {
+                console.warn('Merged SBOM does not match the CycloneDX 1.5 schema:', remaining);
+            }
+        } catch (error) {
+            console.warn('Could not validate the merged SBOM:', error);
+        }
+        
+        if (changes.length > 0) {
+            console.warn('Merged SBOM adjusted to the CycloneDX 1.5 schema:', changes);
+            const shown = changes.slice(0, 3).map(change => this.escapeHtml(change)).join('; ');
+            this.showNotification('Merged SBOM Adjusted',
+                `${changes.length} value${changes.length === 1 ? '' : 's'} changed to match CycloneDX 1.5: ${shown}` +
+                `${changes.length > 3 ? `; and ${changes.length - 3} more (see the console)` : ''}`);
+        }
+        
+        this.downloadFile(JSON.stringify(bom, null, 2),
+            this.getExportFileName('merged-sbom', 'cdx.json'), 'application/vnd.cyclonedx+json');
+    }
+    
+    fixMergedSbomIssues(bom, issues, changes) {
+        // Types added in 1.6 and their closest 1.5 type; anything else unknown becomes a library
+        const typeMap = { 'cryptographic-asset': 'data' };
+        const paths = issues.map(issue => issue.path);
+        const removals = new Map(); // Array -> indices of the entries to drop
+        let fixed = false;
+        
+        issues.forEach(issue => {
+            // An issue on a union (e.g. "licenses does not match any of the allowed forms") is fixed by its deeper issues
+            if (paths.some(path => path !== issue.path && (path.startsWith(`${issue.path}.`) || path.startsWith(`${issue.path}[`)))) return;
+            
+            const segments = [];
+            const tokens = /\.([A-Za-z_$][\w$]*)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/g;
+            let token;
+            while ((token = tokens.exec(issue.path.slice(1)))) {
+                segments.push(token[1] !== undefined ? token[1] : token[2] !== undefined ? Number(token[2]) : JSON.parse(token[3]));
+            }
+            if (segments[0] !== 'components' || typeof segments[1] !== 'number' || segments.length < 3) return;
+            
+            const component = bom.components[segments[1]];
+            const field = segments[2];
+            const label = component.name || component['bom-ref'];
+            if (field === 'type' && segments.length === 3) {
+                const type = typeMap[component.type] || 'library';
+                changes.push(`${label}: type "${component.type}" changed to "${type}"`);
+                component.type = type;
+                fixed = true;
+            } else if (field === 'licenses' && segments[4] === 'license' && segments[5] === 'id' && segments.length === 6) {
+                // A license id the SPDX list doesn't know is kept as the license name
+                const license = component.licenses[segments[3]].license;
+                changes.push(`${label}: license id "${license.id}" moved to the license name`);
+                license.name = license.name || license.id;
+                delete license.id;
+                fixed = true;
+            } else if (Array.isArray(component[field]) && typeof segments[3] === 'number') {
+                // Only the invalid entry of a list (e.g. one malformed hash) is dropped
+                if (!removals.has(component[field])) removals.set(component[field], { component, field, indices: new Set() });
+                removals.get(component[field]).indices.add(segments[3]);
+            } else if (field !== 'name' && field !== 'bom-ref' && component[field] !== undefined) {
+                changes.push(`${label}: ${field} removed (${issue.message})`);
+                delete component[field];
+                fixed = true;
+            }
+        });
+        
+        removals.forEach(({ component, field, indices }, list) => {
+            const label = component.name || component['bom-ref'];
+            Array.from(indices).sort((a, b) => b - a).forEach(index => {
+                changes.push(`${label}: ${field} entry ${JSON.stringify(list[index])} removed`);
+                list.splice(index, 1);
+            });
+            if (list.length === 0) delete component[field];
+            fixed = true;
+        });
+        
+        return fixed;
+    }
+    
+    getExportFileName(baseName, extension) {
+        // Exports of a historical state say which state they came from
+        return this.viewingHistory
+            ? `${baseName}-state-${this.historyPosition + 1}.${extension}`
+            : `${baseName}.${extension}`;
+    }
+    
+    buildGraphImage(includeLegend) {
+        // The picture shows what passes the active filter, without the dimming of the search
+        this.exportNodes = this.getExportNodes();
+        const bounds = this.getGraphBounds();
+        if (!bounds) {
+            this.exportNodes = null;
+            return null;
+        }
+        
+        const padding = 40;
+        const legendHeight = includeLegend ? 50 : 0;
+        const width = Math.ceil(bounds.width + padding * 2);
+        const height = Math.ceil(bounds.height + padding * 2 + legendHeight);
+        
+        const svg = this.createSvgElement('svg', { width, height, viewBox: `0 0 ${width} ${height}` });
+        svg.appendChild(this.getGraphSvg(document.getElementById('graphContainer')).querySelector('defs').cloneNode(true));
+        svg.appendChild(this.createSvgElement('rect', { width, height, fill: '#ffffff' }));
+        
+        // Draw every node and edge at its layout position, whatever is currently scrolled or zoomed into view
+        const viewport = this.createSvgElement('g', { transform: `translate(${padding - bounds.x}, ${padding - bounds.y})` });
+        const clusterLayer = this.createSvgElement('g');
+        const edgeLayer = this.createSvgElement('g');
+        const nodeLayer = this.createSvgElement('g');
+        viewport.appendChild(clusterLayer);
+        viewport.appendChild(edgeLayer);
+        viewport.appendChild(nodeLayer);
+        svg.appendChild(viewport);
+        
+        const liveElements = this.graphElements;
+        const liveMatches = this.searchMatchSet;
+        this.graphElements = [];
+        this.searchMatchSet = null;
+        this.renderClusters(clusterLayer, null);
+        this.renderEdges(edgeLayer, null);
+        this.renderNodes(nodeLayer, null, { interactive: false });
+        this.graphElements = liveElements;
+        this.searchMatchSet = liveMatches;
+        this.exportNodes = null;
+        
+        if (includeLegend) {
+            svg.appendChild(this.createImageLegend(padding, height - legendHeight));
+        }
+        
+        // The picture is styled by the page's stylesheet; copy the computed styles onto the shapes so the file stands alone
+        svg.style.position = 'absolute';
+        svg.style.visibility = 'hidden';
+        document.body.appendChild(svg);
+        const properties = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity',
+            'font-family', 'font-size', 'font-weight'];
+        viewport.querySelectorAll('path, rect, text').forEach(element => {
+            const computed = window.getComputedStyle(element);
+            properties.forEach(property => {
+                const value = computed.getPropertyValue(property);
+                if (value) element.style.setProperty(property, value);
+            });
+        });
+        svg.remove();
+        svg.removeAttribute('style');
+        
+        // Many viewers don't know the live arrowhead's context-stroke fill, so every edge colour gets its own marker
+        const defs = svg.querySelector('defs');
+        const arrowhead = defs.querySelector('#graph-arrowhead');
+        const markers = new Map();
+        edgeLayer.querySelectorAll('path.edge').forEach(edge => {
+            const color = edge.style.getPropertyValue('stroke') || '#000000';
+            if (!markers.has(color)) {
+                const marker = arrowhead.cloneNode(true);
+                marker.setAttribute('id', `graph-arrowhead-${markers.size + 1}`);
+                marker.querySelector('path').setAttribute('fill', color);
+                defs.appendChild(marker);
+                markers.set(color, marker.getAttribute('id'));
             }
+            edge.setAttribute('marker-end', `url(#${markers.get(color)})`);
+        });
+        arrowhead.remove();
+        
+        return { svg, width, height };
+    }
+    
+    createImageLegend(x, y) {
+        const legend = this.createSvgElement('g', { transform: `translate(${x}, ${y})` });
+        const items = [
+            ['Main component', 'url(#node-gradient-main)'],
+            ['Other component', 'url(#node-gradient-other)']
+        ];
+        if (this.getHighlightedNodes().size > 0) {
+            items.push(['Highlighted SBOM', 'url(#node-gradient-highlight)']);
+        }
+        
+        // Severities that are on the graph
+        const severityColors = { critical: '#7b241c', high: '#e74c3c', medium: '#e67e22', low: '#f1c40f', unknown: '#95a5a6' };
+        const severities = new Set(Array.from(this.vulnerabilityFindings.values()).map(result => this.getNodeSeverity(result)));
+        this.getSeverityLevels().filter(level => severities.has(level))
+            .forEach(level => items.push([`${level[0].toUpperCase()}${level.slice(1)} vulnerability`, severityColors[level]]));
+        
+        let offset = 0;
+        items.forEach(([label, fill]) => {
+            legend.appendChild(this.createSvgElement('rect', { x: offset, y: 5, width: 30, height: 16, rx: 8, fill }));
+            const text = this.createSvgElement('text', {
+                x: offset + 38,
+                y: 13,
+                'dominant-baseline': 'central',
+                fill: '#2c3e50',
+                'font-family': 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif',
+                'font-size': 13
+            });
+            text.textContent = label;
+            legend.appendChild(text);
+            offset += 38 + label.length * 7 + 25;
+        });
+        
+        return legend;
+    }
+    
+    downloadGraphSvg() {
+        const image = this.buildGraphImage(this.isLegendRequested());
+        if (!image) return;
+        
+        const content = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(image.svg)}`;
+        this.downloadFile(content, this.getExportFileName('sbom-graph', 'svg'), 'image/svg+xml');
+    }
+    
+    async downloadGraphPng() {
+        const image = this.buildGraphImage(this.isLegendRequested());
+        if (!image) return;
+        
+        // Large graphs are scaled down so the canvas stays within browser limits
+        const pngScaleSelect = document.getElementById('pngScaleSelect');
+        const requestedScale = pngScaleSelect ? Number(pngScaleSelect.value) : 1;
+        const maxDimension = 16384;
+        const maxArea = 128 * 1024 * 1024;
+        const scale = Math.min(requestedScale,
+            maxDimension / Math.max(image.width, image.height),
+            Math.sqrt(maxArea / (image.width * image.height)));
+        
+        const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(image.svg)], { type: 'image/svg+xml' }));
+        try {
+            const img = new Image();
+            await new Promise((resolve, reject) => {
+                img.onload = resolve;
+                img.onerror = () => reject(new Error('Could not render the graph image'));
+                img.src = url;
+            });
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            ctx.drawImage(img, 0, 0, image.width, image.height);
+            
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            this.downloadFile(blob, this.getExportFileName('sbom-graph', 'png'), 'image/png');
+        } catch (error) {
+            console.error('Error exporting PNG:', error);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    isLegendRequested() {
+        const exportLegendCheckbox = document.getElementById('exportLegendCheckbox');
+        return !exportLegendCheckbox || exportLegendCheckbox.checked;
+    }
+    
+    getExportGraph() {
+        const { dependencyGraph, componentRegistry, sboms } = this.getDisplayedState();
+        const mainComponents = this.getMainComponents(sboms);
+        
+        // Only the nodes passing the active filter, and the edges between them
+        const ids = this.getExportNodes() || new Set(dependencyGraph.keys());
+        if (!this.getActiveFilter()) {
+            dependencyGraph.forEach(deps => deps.forEach(dep => ids.add(dep)));
+        }
+        
+        const nodes = Array.from(ids).map(id => {
+            const entry = componentRegistry.get(id);
+            const purl = this.parsePurl(id);
+            return {
+                id,
+                name: entry && entry.attributes.name ? entry.attributes.name : purl ? purl.name : id,
+                version: (entry && entry.attributes.version) || this.getNodeVersion(id) || '',
+                purl: (entry && entry.attributes.purl) || (purl ? id : ''),
+                componentType: mainComponents.has(id) ? 'main' : 'other'
+            };
         });
+        
+        const edges = [];
+        dependencyGraph.forEach((deps, node) => deps.forEach(dep => {
+            if (ids.has(node) && ids.has(dep)) edges.push([node, dep]);
+        }));
+        
+        return { nodes, edges };
+    }
+    
+    buildDotExport() {
+        const { nodes, edges } = this.getExportGraph();
+        const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        
+        return [
+            'digraph sbom {',
+            '    rankdir=TB;',
+            '    node [shape=box, style="rounded,filled", fontcolor=white];',
+            ...nodes.map(node => `    ${quote(node.id)} [label=${quote(node.version ? `${node.name}@${node.version}` : node.name)}, ` +
+                `component_type=${quote(node.componentType)}, fillcolor=${quote(node.componentType === 'main' ? '#e74c3c' : '#27ae60')}];`),
+            ...edges.map(([from, to]) => `    ${quote(from)} -> ${quote(to)};`),
+            '}',
+            ''
+        ].join('\n');
+    }
+    
+    buildGraphmlExport() {
+        const { nodes, edges } = this.getExportGraph();
+        const data = (key, value) => value ? `<data key="${key}">${this.escapeHtml(value)}</data>` : '';
+        
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+            '  <key id="version" for="node" attr.name="version" attr.type="string"/>',
+            '  <key id="purl" for="node" attr.name="purl" attr.type="string"/>',
+            '  <key id="componentType" for="node" attr.name="componentType" attr.type="string"/>',
+            '  <graph id="sbom" edgedefault="directed">',
+            ...nodes.map(node => `    <node id="${this.escapeHtml(node.id)}">` +
+                `${data('name', node.name)}${data('version', node.version)}${data('purl', node.purl)}${data('componentType', node.componentType)}</node>`),
+            ...edges.map(([from, to], index) => `    <edge id="e${index}" source="${this.escapeHtml(from)}" target="${this.escapeHtml(to)}"/>`),
+            '  </graph>',
+            '</graphml>',
+            ''
+        ].join('\n');
+    }
+    
+    buildMermaidExport() {
+        const { nodes, edges } = this.getExportGraph();
+        
+        // Mermaid ids must be plain words, so nodes are numbered and labelled with their names
+        const ids = new Map(nodes.map((node, index) => [node.id, `n${index}`]));
+        const label = node => (node.version ? `${node.name}@${node.version}` : node.name).replace(/"/g, '#quot;');
+        
+        return [
+            'graph TD',
+            '    classDef main fill:#e74c3c,stroke:#c0392b,color:#fff;',
+            '    classDef other fill:#27ae60,stroke:#229954,color:#fff;',
+            ...nodes.map(node => `    ${ids.get(node.id)}["${label(node)}"]:::${node.componentType}`),
+            ...edges.map(([from, to]) => `    ${ids.get(from)} --> ${ids.get(to)}`),
+            ''
+        ].join('\n');
+    }
+    
+    downloadGraphExport(format) {
+        const exporters = {
+            dot: { build: () => this.buildDotExport(), extension: 'dot', mimeType: 'text/vnd.graphviz' },
+            graphml: { build: () => this.buildGraphmlExport(), extension: 'graphml', mimeType: 'application/graphml+xml' },
+            mermaid: { build: () => this.buildMermaidExport(), extension: 'mmd', mimeType: 'text/plain' }
+        };
+        const exporter = exporters[format];
+        this.downloadFile(exporter.build(), this.getExportFileName('sbom-graph', exporter.extension), exporter.mimeType);
+    }
+    
+    downloadFile(content, fileName, mimeType) {
+        const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 }
 